@@ -0,0 +1,106 @@
+'use strict';
+
+const net = require('net');
+
+const dates = require('./dates');
+
+
+const integer = /^[-+]?\d+$/;
+const float = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const cidr = /^(.+)\/(\d{1,3})$/;
+
+
+function toString(value) {
+  return (typeof value === 'number' || typeof value === 'boolean')
+    ? String(value)
+    : value;
+}
+
+
+function toInteger(value) {
+  if (typeof value === 'number') {
+    return (Number.isSafeInteger(value)) ? value : undefined;
+  }
+
+  if (typeof value !== 'string' || !integer.test(value)) return undefined;
+
+  const result = Number(value);
+  return (Number.isSafeInteger(result)) ? result : undefined;
+}
+
+
+function toFloat(value) {
+  if (typeof value === 'number') {
+    return (Number.isFinite(value)) ? value : undefined;
+  }
+
+  if (typeof value !== 'string' || !float.test(value)) return undefined;
+
+  const result = Number(value);
+  return (Number.isFinite(result)) ? result : undefined;
+}
+
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+
+function toDate(value, options) {
+  return (dates.isDate(value, options.format)) ? value : undefined;
+}
+
+
+function toIp(value) {
+  if (typeof value !== 'string') return undefined;
+
+  const match = cidr.exec(value);
+  const address = (match === null) ? value : match[1];
+  const version = net.isIP(address);
+
+  if (version === 0) return undefined;
+
+  if (match !== null && Number(match[2]) > ((version === 4) ? 32 : 128)) {
+    return undefined;
+  }
+
+  return value;
+}
+
+
+function toEnum(value, options) {
+  const { values } = options;
+
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === value) return value;
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    if (String(values[i]) === String(value)) return values[i];
+  }
+
+  return undefined;
+}
+
+
+const converters = {
+  string: toString,
+  integer: toInteger,
+  float: toFloat,
+  boolean: toBoolean,
+  date: toDate,
+  ip: toIp,
+  enum: toEnum,
+};
+
+
+module.exports = {
+  types: Object.keys(converters),
+
+  value(type, value, options) {
+    return converters[type](value, options);
+  },
+};
@@ -1,5 +1,6 @@
 'use strict';
 
+const elv = require('elv');
 const {
   Clause,
   Filter,
@@ -8,44 +9,299 @@ const {
   Target,
 } = require('spleen');
 
+const coerce = require('./coerce');
+const dates = require('./dates');
 const errors = require('./errors');
+const mapping = require('./mapping');
+const painless = require('./painless');
+const pattern = require('./pattern');
 const Strategy = require('./strategy');
 
 
 const msg = {
   argFilter: 'Argument "filter" must be an instance of spleen.Filter',
   argStrategy: 'Argument "strategy" must be an instance of Strategy',
+  argOptions: 'Argument "options" must be an object',
+  argOptionsScore: 'Argument "options.score" must be a Boolean',
+  argOptionsScoreOutput: 'Argument "options.score" cannot be used with output: ',
+  argOptionsFormat: 'Argument "options.format" must be a non-empty string',
+  argOptionsTimeZone: 'Argument "options.timeZone" must be a UTC offset or IANA time zone ID',
+  unknownOp: 'Unknown operator: ',
+  indexTarget: 'Array indexes cannot be compared to other targets: ',
+  lengthNil: 'Array lengths cannot be compared to nil: ',
+  lengthTarget: 'Array lengths cannot be compared to other targets: ',
+  virtualResult: 'Virtual field handler must return an object: ',
+  virtualTarget: 'Virtual fields cannot be compared to other targets: ',
 };
 
 
 const invalidTarget = /["{};,[\]:()'*>#~@&%?`]|-{2,}/;
+const dateTypes = new Set(['date', 'date_nanos']);
+const declaredTypes = {
+  boolean: 'boolean',
+  date: 'date',
+  float: 'double',
+  integer: 'long',
+  ip: 'ip',
+};
+const stringTypes = new Set(['constant_keyword', 'keyword', 'text', 'wildcard']);
+const fullTextOperators = new Set(['eq', 'neq', 'in', 'nin', 'like', 'nlike']);
+const negations = { neq: 'eq', nin: 'in', nbetween: 'between' };
+const boostedQueries = new Set(['bool', 'exists', 'nested', 'query_string', 'script', 'terms']);
+const valueQueries = new Set(['prefix', 'range', 'regexp', 'term', 'wildcard']);
+const textQueries = new Set(['match', 'match_bool_prefix', 'match_phrase']);
 const defaultStrategy = new Strategy({});
 
 
+function fieldDepth(target) {
+  return target.field.split('/').length - 1;
+}
+
+
+function elementPointer(target) {
+  if (fieldDepth(target) === target.path.length) return null;
+
+  const segments = target.path.filter(segment => typeof segment !== 'number');
+  const pointer = `/${segments.join('/')}`;
+
+  return (pointer !== target.field) ? pointer : null;
+}
+
+
+function pointers(target) {
+  const element = elementPointer(target);
+  return (element !== null) ? [target.field, element] : [target.field];
+}
+
+
 function not(dsl) {
   return { bool: { must_not: dsl } };
 }
 
 
-function scriptOperator(operator) {
+function negated(dsl) {
+  return (Object.keys(dsl).length === 1
+      && elv(dsl.bool)
+      && Object.keys(dsl.bool).length === 1
+      && elv(dsl.bool.must_not))
+    ? dsl.bool.must_not
+    : null;
+}
+
+
+function fieldType(field) {
+  return (field.type === null && field.fullText !== null) ? 'text' : field.type;
+}
+
+
+function assertCompatible(field, operator) {
+  const supported = (field.fullText !== null)
+    ? fullTextOperators.has(operator)
+    : mapping.supports(field.mapping, operator);
+
+  if (!supported) {
+    throw new errors.IncompatibleOperatorError(
+      field.pointer,
+      operator,
+      fieldType(field)
+    );
+  }
+
+  const declared = declaredTypes[field.declared];
+
+  if (typeof declared === 'string'
+      && !mapping.supports({ type: declared, keyword: null }, operator)) {
+    throw new errors.IncompatibleOperatorError(
+      field.pointer,
+      operator,
+      field.declared
+    );
+  }
+}
+
+
+function assertDocValues(field, operator) {
+  if (field.analyzed) {
+    throw new errors.IncompatibleOperatorError(
+      field.pointer,
+      operator,
+      fieldType(field)
+    );
+  }
+}
+
+
+function assertScriptable(field, operator) {
+  assertCompatible(field, operator);
+  assertDocValues(field, operator);
+}
+
+
+function bounds(field, predicate) {
+  const svo = {};
+  svo[field.term] = Object.assign({}, predicate);
+
+  if (field.format !== null) svo[field.term].format = field.format;
+  if (field.timeZone !== null) svo[field.term].time_zone = field.timeZone;
+
+  return { range: svo };
+}
+
+
+function valueKind(field) {
+  if (field.date) return 'date';
+  if (mapping.isNumeric(field.type)) return 'number';
+  if (field.type === 'boolean') return 'boolean';
+  return (field.type !== null) ? 'string' : null;
+}
+
+
+function comparator(subject, object) {
+  const subjectKind = valueKind(subject);
+  const objectKind = valueKind(object);
+
+  if (subjectKind === null || objectKind === null) return null;
+
+  return (subjectKind === 'number' && objectKind === 'number')
+    ? 'number'
+    : 'comparable';
+}
+
+
+function scriptComparator(field, object) {
+  const kind = valueKind(field);
+
+  if (kind === 'number') return 'number';
+  if (kind !== null) return 'comparable';
+
+  const value = (object instanceof Range) ? object.lower : object;
+
+  if (typeof value === 'number') return 'number';
+  return (typeof value === 'string') ? 'comparable' : null;
+}
+
+
+function assertComparable(subject, object, operator) {
+  const subjectKind = valueKind(subject);
+  const objectKind = valueKind(object);
+
+  if (subjectKind === null || objectKind === null || subjectKind === objectKind) return;
+
+  throw new errors.IncompatibleOperatorError(
+    object.pointer,
+    operator,
+    elv.coalesce(object.type, objectKind)
+  );
+}
+
+
+function isString(entry, settings) {
+  return (entry.type === null || stringTypes.has(entry.type))
+    && (settings.type === null || settings.type === 'string' || settings.type === 'enum');
+}
+
+
+function fold(value) {
+  return (typeof value === 'string') ? value.toLowerCase() : value;
+}
+
+
+function foldTokens(tokens) {
+  return tokens.map(token => (
+    (token.type === 'literal')
+      ? { type: token.type, value: fold(token.value) }
+      : token
+  ));
+}
+
+
+function exact(field, value) {
+  const svo = {};
+
+  if (field.folded !== null) {
+    svo[field.folded] = fold(value);
+  } else if (field.caseInsensitive) {
+    svo[field.term] = { value, case_insensitive: true };
+  } else {
+    svo[field.term] = value;
+  }
+
+  return { term: svo };
+}
+
+
+function phrase(field, value) {
+  const svo = {};
+  svo[field.path] = (field.fullText !== null && field.fullText.analyzer !== null)
+    ? { query: value, analyzer: field.fullText.analyzer }
+    : value;
+
+  return { match_phrase: svo };
+}
+
+
+function fullTextQuery(field, query) {
+  const { analyzer, operator } = field.fullText;
+  const predicate = { query };
+
+  if (operator !== null) predicate.operator = operator;
+  if (analyzer !== null) predicate.analyzer = analyzer;
+
+  const svo = {};
+  svo[field.path] = predicate;
+
+  return svo;
+}
+
+
+function isOrdered(subject, object) {
+  return (typeof subject === 'number' || typeof subject === 'string')
+    && typeof subject === typeof object;
+}
+
+
+function evaluate(clause) {
+  const { subject, operator, object } = clause;
+
   switch (operator.type) {
     case 'eq':
-      return '==';
+      return subject === object;
 
     case 'neq':
-      return '!=';
+      return subject !== object;
 
     case 'gt':
-      return '>';
+      return isOrdered(subject, object) && subject > object;
 
     case 'gte':
-      return '>=';
+      return isOrdered(subject, object) && subject >= object;
 
     case 'lt':
-      return '<';
+      return isOrdered(subject, object) && subject < object;
 
     case 'lte':
-      return '<=';
+      return isOrdered(subject, object) && subject <= object;
+
+    case 'in':
+      return object.indexOf(subject) !== -1;
+
+    case 'nin':
+      return object.indexOf(subject) === -1;
+
+    case 'between':
+      return isOrdered(subject, object.lower)
+        && isOrdered(subject, object.upper)
+        && subject >= object.lower
+        && subject <= object.upper;
+
+    case 'nbetween':
+      return !evaluate({ subject, operator: { type: 'between' }, object });
+
+    case 'like':
+      return pattern.match(pattern.parse(object.value), subject);
+
+    case 'nlike':
+      return !pattern.match(pattern.parse(object.value), subject);
 
     default:
       throw new errors.ConvertError();
@@ -53,22 +309,34 @@ function scriptOperator(operator) {
 }
 
 
-function scriptLiterals(clause) {
-  const op = scriptOperator(clause.operator);
+function constant(value) {
   return {
-    script: {
-      script: {
-        source: `params.subject ${op} params.object`,
-        params: {
-          subject: clause.subject,
-          object: clause.object,
-        },
-      },
-    },
+    dsl: (value) ? { match_all: {} } : { match_none: {} },
+    path: null,
+    constant: value,
   };
 }
 
 
+function simplify(groups) {
+  const result = [];
+
+  for (let i = 0; i < groups.length; i++) {
+    const group = groups[i];
+
+    if (!group.some(item => item.constant === false)) {
+      const items = group.filter(item => item.constant !== true);
+
+      if (items.length === 0) return true;
+
+      result.push(items);
+    }
+  }
+
+  return (result.length > 0) ? result : false;
+}
+
+
 function normalizeClause(clause) {
   if (clause.object instanceof Target) {
     const newClause = {
@@ -106,79 +374,417 @@ function normalizeClause(clause) {
 }
 
 
+function boost(dsl, value) {
+  const type = Object.keys(dsl)[0];
+  const body = dsl[type];
+  const result = {};
+
+  if (boostedQueries.has(type)) {
+    result[type] = Object.assign({}, body, { boost: value });
+    return result;
+  }
+
+  if (!valueQueries.has(type) && !textQueries.has(type)) {
+    return { bool: { must: dsl, boost: value } };
+  }
+
+  const field = Object.keys(body)[0];
+  let predicate = body[field];
+
+  if (typeof predicate !== 'object' || predicate === null) {
+    predicate = {};
+    predicate[(textQueries.has(type)) ? 'query' : 'value'] = body[field];
+  }
+
+  result[type] = {};
+  result[type][field] = Object.assign({}, predicate, { boost: value });
+
+  return result;
+}
+
+
+function createOptions(value) {
+  const options = { format: null, score: false, timeZone: null };
+
+  if (!elv(value)) return options;
+
+  if (typeof value !== 'object') throw new TypeError(msg.argOptions);
+
+  if (elv(value.format)) {
+    if (typeof value.format !== 'string' || value.format.length === 0) {
+      throw new TypeError(msg.argOptionsFormat);
+    }
+
+    options.format = value.format;
+  }
+
+  if (elv(value.score)) {
+    if (typeof value.score !== 'boolean') throw new TypeError(msg.argOptionsScore);
+    options.score = value.score;
+  }
+
+  if (elv(value.timeZone)) {
+    if (!dates.isTimeZone(value.timeZone)) {
+      throw new TypeError(msg.argOptionsTimeZone);
+    }
+
+    options.timeZone = value.timeZone;
+  }
+
+  return options;
+}
+
+
+function coerceClause(clause, type, options) {
+  const { subject, operator, object } = clause;
+
+  if (type === null || object === null || object instanceof Like) {
+    return clause;
+  }
+
+  const value = (val) => {
+    const result = coerce.value(type, val, options);
+
+    if (typeof result === 'undefined') {
+      throw new errors.InvalidValueError(subject.field, val, type);
+    }
+
+    return result;
+  };
+
+  if (Array.isArray(object)) {
+    return { subject, operator, object: object.map(value) };
+  }
+
+  if (!(object instanceof Range)) {
+    return { subject, operator, object: value(object) };
+  }
+
+  if (type === 'boolean') {
+    throw new errors.IncompatibleOperatorError(
+      subject.field,
+      operator.type,
+      type
+    );
+  }
+
+  return {
+    subject,
+    operator,
+    object: new Range(value(object.lower), value(object.upper)),
+  };
+}
+
+
+function measure(filter, depth) {
+  const result = { clauses: 0, depth };
+
+  for (let i = 0; i < filter.statements.length; i++) {
+    const sval = filter.statements[i].value;
+
+    if (sval instanceof Filter) {
+      const child = measure(sval, depth + 1);
+      result.clauses += child.clauses;
+      result.depth = Math.max(result.depth, child.depth);
+    } else {
+      result.clauses++;
+    }
+  }
+
+  return result;
+}
+
+
+function intersectValues(a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+
+  const result = new Set();
+
+  a.forEach((value) => {
+    if (b.has(value)) result.add(value);
+  });
+
+  return result;
+}
+
+
+function unionValues(a, b) {
+  if (a === null || b === null) return null;
+
+  const result = new Set(a);
+  b.forEach(value => result.add(value));
+
+  return result;
+}
+
+
+function includeValues(values, discriminator) {
+  const result = new Set();
+
+  for (let i = 0; i < values.length; i++) {
+    const key = String(values[i]);
+    if (discriminator.map.has(key)) result.add(key);
+  }
+
+  return result;
+}
+
+
+function excludeValues(values, discriminator) {
+  const excluded = new Set(values.map(String));
+  const result = new Set();
+
+  discriminator.map.forEach((type, key) => {
+    if (!excluded.has(key)) result.add(key);
+  });
+
+  return result;
+}
+
+
+function discriminateClause(statement, discriminator) {
+  if ((statement.subject instanceof Target)
+      === (statement.object instanceof Target)) return null;
+
+  const clause = normalizeClause(statement);
+
+  if (clause.subject.field !== discriminator.target) return null;
+
+  switch (clause.operator.type) {
+    case 'eq':
+      return includeValues([clause.object], discriminator);
+
+    case 'neq':
+      return excludeValues([clause.object], discriminator);
+
+    case 'in':
+      return includeValues(clause.object, discriminator);
+
+    case 'nin':
+      return excludeValues(clause.object, discriminator);
+
+    default:
+      return null;
+  }
+}
+
+
+function discriminate(filter, discriminator) {
+  const groups = [];
+  let group = null;
+
+  for (let i = 0; i < filter.statements.length; i++) {
+    const statement = filter.statements[i];
+    const sval = statement.value;
+
+    if (statement.conjunctive === 'or') {
+      groups.push(group);
+      group = null;
+    }
+
+    const values = (sval instanceof Filter)
+      ? discriminate(sval, discriminator)
+      : discriminateClause(sval, discriminator);
+
+    group = intersectValues(group, values);
+  }
+
+  groups.push(group);
+
+  return groups.reduce(unionValues);
+}
+
+
 class Builder {
 
-  constructor(filter, strategy) {
+  constructor(filter, strategy, options) {
     if (!(filter instanceof Filter)) throw new TypeError(msg.argFilter);
     if (!(strategy instanceof Strategy)) throw new TypeError(msg.argStrategy);
 
     this._filter = filter;
     this._strategy = strategy;
+    this._options = createOptions(options);
+
+    if (this._options.score && strategy.output === 'constant_score') {
+      throw new TypeError(msg.argOptionsScoreOutput + strategy.output);
+    }
     this._fields = new Set();
+    this._resolved = new Map();
+    this._scripts = 0;
     this.fields = [];
+    this.types = null;
     this.value = {};
   }
 
 
-  _scriptTargets(clause) {
-    const subject = this._target(clause.subject);
-    const op = scriptOperator(clause.operator);
-    const object = this._target(clause.object);
-    return {
-      script: {
-        script: `doc['${subject}'].value ${op} doc['${object}'].value`,
-      },
-    };
-  }
+  _script(source, params) {
+    this._scripts++;
 
+    const script = { lang: 'painless' };
+    script[this._strategy.dialect.scriptSource] = source;
+    script.params = params;
 
-  _target(target) {
-    const { allow, deny } = this._strategy;
+    return { script: { script } };
+  }
 
-    if (allow.size > 0 && !allow.has(target.field)) {
-      throw new errors.NonallowedFieldError(target.field);
+
+  _scriptable(target) {
+    if (fieldDepth(target) < target.path.length) {
+      throw new errors.ConvertError(msg.indexTarget + target.field);
     }
 
-    if (deny.size > 0 && deny.has(target.field)) {
-      throw new errors.DeniedFieldError(target.field);
+    if (this._isLength(target)) {
+      throw new errors.ConvertError(msg.lengthTarget + target.field);
     }
+  }
 
-    let val = '';
 
-    for (let i = 0; i < target.path.length; i++) {
-      let segment = target.path[i];
+  _scriptTargets(clause) {
+    this._scriptable(clause.subject);
+    this._scriptable(clause.object);
+
+    const subject = this._field(clause.subject);
+    const object = this._field(clause.object);
+    const source = painless.compareFields(
+      clause.operator.type,
+      comparator(subject, object),
+      this._strategy.multiValued
+    );
+
+    if (source === null) throw new errors.ConvertError();
+
+    assertScriptable(subject, clause.operator.type);
+    assertScriptable(object, clause.operator.type);
+    assertComparable(subject, object, clause.operator.type);
 
-      if (typeof segment !== 'string') {
-        segment = segment.toString();
+    return this._script(source, { subject: subject.term, object: object.term });
+  }
+
+
+  _access(target) {
+    pointers(target).forEach((pointer) => {
+      if (!this._strategy.allows(pointer)) {
+        throw new errors.NonallowedFieldError(pointer);
       }
 
-      if (invalidTarget.test(segment)) {
-        throw new errors.InvalidTargetError(target);
+      if (this._strategy.denies(pointer)) {
+        throw new errors.DeniedFieldError(pointer);
       }
+    });
+
+    pointers(target).forEach((pointer) => {
+      if (!this._fields.has(pointer)) {
+        this._fields.add(pointer);
+        this.fields.push(pointer);
+      }
+    });
+  }
+
 
-      if (val.length > 0) val += '.';
+  _settings(target) {
+    const element = elementPointer(target);
 
-      val += segment;
+    return (element !== null && this._strategy.fields.has(element))
+      ? this._strategy.field(element)
+      : this._strategy.field(target.field);
+  }
+
+
+  _target(target) {
+    this._access(target);
+
+    if (this._strategy.field(target.field).handler !== null) {
+      throw new errors.ConvertError(msg.virtualTarget + target.field);
     }
 
-    if (!this._fields.has(target.field)) {
-      this._fields.add(target.field);
-      this.fields.push(target.field);
+    for (let i = 0; i < target.path.length; i++) {
+      const segment = target.path[i];
+
+      if (typeof segment === 'string' && invalidTarget.test(segment)) {
+        throw new errors.InvalidTargetError(target);
+      }
     }
 
-    return val;
+    const { field } = this._strategy.field(target.field);
+
+    return (field !== null)
+      ? field
+      : target.path.slice(0, fieldDepth(target)).join('.');
+  }
+
+
+  _field(target) {
+    if (this._resolved.has(target)) return this._resolved.get(target);
+
+    const path = this._target(target);
+    const element = target.path
+      .slice(fieldDepth(target))
+      .filter(segment => typeof segment !== 'number');
+    const entry = elv.coalesce(
+      this._strategy.mapping.get([path].concat(element).join('.')),
+      mapping.unmapped
+    );
+
+    const settings = this._settings(target);
+    const date = dateTypes.has(entry.type) || settings.type === 'date';
+    const analyzed = settings.fullText !== null
+      || (entry.type === 'text' && entry.keyword === null);
+    const term = (entry.keyword !== null) ? `${path}.${entry.keyword}` : path;
+    const insensitive = settings.caseInsensitive
+      && !date
+      && !analyzed
+      && isString(entry, settings);
+    const { dialect } = this._strategy;
+
+    const field = {
+      pointer: target.field,
+      path,
+      term,
+      type: entry.type,
+      declared: settings.type,
+      format: (date) ? this._format(settings, entry.format) : null,
+      timeZone: (date) ? this._timeZone(settings) : null,
+      date,
+      analyzed,
+      fullText: settings.fullText,
+      caseInsensitive: insensitive && dialect.caseInsensitive,
+      folded: (insensitive && !dialect.caseInsensitive)
+        ? settings.normalizedField
+        : null,
+      reverse: settings.reverseField,
+      ngram: settings.ngramField,
+      mapping: entry,
+    };
+
+    this._resolved.set(target, field);
+
+    return field;
+  }
+
+
+  _format(settings, fallback) {
+    if (this._options.format !== null) return this._options.format;
+    return (settings.format !== null) ? settings.format : fallback;
+  }
+
+
+  _timeZone(settings) {
+    return (this._options.timeZone !== null)
+      ? this._options.timeZone
+      : settings.timeZone;
   }
 
 
   _comparison(clause) {
     const svo = {};
-    svo[this._target(clause.subject)] = clause.object;
+    svo[this._field(clause.subject).term] = clause.object;
     return svo;
   }
 
 
   _exists(clause) {
-    return { exists: { field: this._target(clause.subject) } };
+    return { exists: { field: this._field(clause.subject).path } };
   }
 
 
@@ -186,17 +792,22 @@ class Builder {
     const predicate = {};
     predicate[clause.operator.type] = clause.object;
 
-    const svo = {};
-    svo[this._target(clause.subject)] = predicate;
-
-    return { range: svo };
+    return bounds(this._field(clause.subject), predicate);
   }
 
 
   _eq(clause) {
-    return (clause.object === null)
-      ? not(this._exists(clause))
-      : { term: this._comparison(clause) };
+    if (clause.object === null) return not(this._exists(clause));
+
+    const field = this._field(clause.subject);
+
+    if (field.analyzed) return phrase(field, clause.object);
+
+    if (field.date) {
+      return bounds(field, { gte: clause.object, lte: clause.object });
+    }
+
+    return exact(field, clause.object);
   }
 
 
@@ -235,6 +846,27 @@ class Builder {
   }
 
 
+  _regexp(field, tokens, caseInsensitive) {
+    const options = this._strategy.regexp;
+    const predicate = { value: pattern.toRegexp(tokens) };
+
+    if (options.flags !== null) predicate.flags = options.flags;
+
+    if (options.caseInsensitive || caseInsensitive) {
+      predicate.case_insensitive = true;
+    }
+
+    if (options.maxDeterminizedStates !== null) {
+      predicate.max_determinized_states = options.maxDeterminizedStates;
+    }
+
+    const svo = {};
+    svo[field] = predicate;
+
+    return { regexp: svo };
+  }
+
+
   _like(clause) {
     const like = clause.object;
 
@@ -242,12 +874,87 @@ class Builder {
       throw new errors.ConvertError();
     }
 
-    const regex = like.toRegexString();
+    const field = this._field(clause.subject);
+    const parsed = pattern.parse(like.value);
+
+    if (pattern.isLeading(parsed)) {
+      const rewritten = this._leading(field, parsed, like.value);
+      if (rewritten !== null) return rewritten;
+    }
+
+    if (field.fullText !== null) return this._match(field, parsed);
+
+    return this._pattern(field, elv.coalesce(field.folded, field.term), parsed);
+  }
+
+
+  _leading(field, tokens, value) {
+    if (field.fullText === null
+        && field.reverse !== null
+        && !pattern.isTrailing(tokens)) {
+      return this._pattern(field, field.reverse, pattern.reverse(tokens));
+    }
+
+    const text = pattern.contained(tokens);
+
+    if (field.fullText === null && field.ngram !== null && text !== null) {
+      const svo = {};
+      svo[field.ngram] = { query: text, operator: 'and' };
+      return { match: svo };
+    }
+
+    if (this._strategy.leadingWildcard === 'deny') {
+      throw new errors.LeadingWildcardError(field.pointer, value);
+    }
+
+    return null;
+  }
+
+
+  _pattern(field, name, parsed) {
+    const tokens = (field.folded !== null) ? foldTokens(parsed) : parsed;
+    const mode = this._strategy.field(field.pointer).pattern;
+
+    if (mode === 'regexp') {
+      return this._regexp(name, tokens, field.caseInsensitive);
+    }
+
+    const plan = (mode === 'wildcard')
+      ? { type: 'wildcard', value: pattern.toWildcard(tokens) }
+      : pattern.plan(tokens);
+
+    if (plan.type === 'term') return exact(field, plan.value);
+
+    const predicate = { value: plan.value };
+    if (field.caseInsensitive) predicate.case_insensitive = true;
+
     const svo = {};
+    svo[name] = predicate;
+
+    return (plan.type === 'prefix') ? { prefix: svo } : { wildcard: svo };
+  }
 
-    svo[this._target(clause.subject)] = regex;
 
-    return { regex: svo };
+  _match(field, tokens) {
+    const { analyzer, operator, like } = field.fullText;
+    const plan = (like === 'auto') ? pattern.plan(tokens) : { type: 'wildcard' };
+
+    if (plan.type === 'term') return { match: fullTextQuery(field, plan.value) };
+
+    if (plan.type === 'prefix' && this._strategy.dialect.boolPrefix) {
+      return { match_bool_prefix: fullTextQuery(field, plan.value) };
+    }
+
+    const predicate = {
+      query: pattern.toQueryString(tokens),
+      default_field: field.path,
+      analyze_wildcard: true,
+    };
+
+    if (operator !== null) predicate.default_operator = operator;
+    if (analyzer !== null) predicate.analyzer = analyzer;
+
+    return { query_string: predicate };
   }
 
 
@@ -261,13 +968,10 @@ class Builder {
 
     if (!(range instanceof Range)) throw new errors.ConvertError();
 
-    const svo = {};
-    svo[this._target(clause.subject)] = {
+    return bounds(this._field(clause.subject), {
       gte: range.lower,
       lte: range.upper,
-    };
-
-    return { range: svo };
+    });
   }
 
 
@@ -278,6 +982,26 @@ class Builder {
 
   _in(clause) {
     if (!Array.isArray(clause.object)) throw new errors.ConvertError();
+
+    const field = this._field(clause.subject);
+
+    if (field.analyzed || field.caseInsensitive) {
+      const match = (field.analyzed) ? phrase : exact;
+
+      return {
+        bool: {
+          should: clause.object.map(value => match(field, value)),
+          minimum_should_match: 1,
+        },
+      };
+    }
+
+    if (field.folded !== null) {
+      const svo = {};
+      svo[field.folded] = clause.object.map(fold);
+      return { terms: svo };
+    }
+
     return { terms: this._comparison(clause) };
   }
 
@@ -287,114 +1011,514 @@ class Builder {
   }
 
 
-  _build(filter) {
-    const groups = [];
-    const value = {
-      bool: {},
-    };
+  _clause(clause) {
+    switch (clause.operator.type) {
+      case 'eq':
+        return this._eq(clause);
 
-    let must = [];
+      case 'neq':
+        return this._neq(clause);
+
+      case 'gt':
+        return this._gt(clause);
+
+      case 'gte':
+        return this._gte(clause);
+
+      case 'lt':
+        return this._lt(clause);
+
+      case 'lte':
+        return this._lte(clause);
+
+      case 'like':
+        return this._like(clause);
+
+      case 'nlike':
+        return this._nlike(clause);
+
+      case 'between':
+        return this._between(clause);
+
+      case 'nbetween':
+        return this._nbetween(clause);
+
+      case 'in':
+        return this._in(clause);
+
+      case 'nin':
+        return this._nin(clause);
+
+      default:
+        throw new errors.ConvertError(msg.unknownOp + clause.operator.type);
+    }
+  }
+
+
+  _statement(sval, depth) {
+    if (sval instanceof Filter) return this._build(sval, depth + 1);
+
+    if (!(sval instanceof Clause)) throw new errors.ConvertError();
+
+    const scripts = this._scripts;
+    const result = this._compare(sval);
+
+    if (this._scripts > scripts) this._permitScript(sval);
+
+    return result;
+  }
+
+
+  _compare(sval) {
+    const subIsTarget = sval.subject instanceof Target;
+    const objIsTarget = sval.object instanceof Target;
+
+    if (subIsTarget && objIsTarget) {
+      this._permit(sval.subject, sval.operator.type, true);
+      this._permit(sval.object, normalizeClause(sval).operator.type, true);
+
+      const subject = this._nestedPath(this._field(sval.subject).path);
+      const object = this._nestedPath(this._field(sval.object).path);
+
+      return {
+        dsl: this._scriptTargets(sval),
+        path: (subject === object) ? subject : null,
+      };
+    }
+
+    if (!subIsTarget && !objIsTarget) return constant(evaluate(sval));
+
+    const normalized = normalizeClause(sval);
+    this._permit(normalized.subject, normalized.operator.type, false);
+
+    if (Array.isArray(normalized.object)) {
+      this._limit('values', normalized.object.length);
+    }
+
+    if (normalized.object instanceof Like && typeof normalized.object.value === 'string') {
+      const { value } = normalized.object;
+      this._limit('patternLength', value.length);
+      this._limit('wildcards', pattern.wildcards(pattern.parse(value)));
+    }
+
+    const settings = this._settings(normalized.subject);
+    const { handler } = this._strategy.field(normalized.subject.field);
+    const date = handler === null
+      && !this._isLength(normalized.subject)
+      && this._field(normalized.subject).date;
+    const type = (settings.type === null && date) ? 'date' : settings.type;
+    const clause = coerceClause(normalized, type, {
+      values: settings.values,
+      format: (date)
+        ? this._field(normalized.subject).format
+        : this._format(settings, null),
+    });
+
+    if (handler !== null) {
+      return { dsl: this._boost(clause, this._virtual(clause, handler)), path: null };
+    }
+
+    if (this._isLength(clause.subject)) return this._length(clause);
+
+    if (fieldDepth(clause.subject) < clause.subject.path.length) {
+      return { dsl: this._boost(clause, this._indexed(clause)), path: null };
+    }
+
+    const field = this._field(clause.subject);
+
+    if (clause.object !== null) assertCompatible(field, clause.operator.type);
+
+    return this._place(clause, this._clause(clause), this._nestedPath(field.path));
+  }
+
+
+  _place(clause, dsl, path) {
+    const positive = (path !== null) ? negated(dsl) : null;
+
+    if (positive !== null) {
+      return { dsl: this._boost(clause, not(this._nest(positive, path))), path: null };
+    }
+
+    return { dsl: this._boost(clause, dsl), path };
+  }
+
+
+  _permitScript(sval) {
+    if (this._strategy.scripts === true) return;
+
+    const fields = [sval.subject, sval.object]
+      .filter(val => val instanceof Target)
+      .reduce((list, target) => list.concat(pointers(target)), []);
+
+    const forbidden = fields.filter(field => !this._strategy.allowsScript(field));
+
+    if (forbidden.length > 0) {
+      throw new errors.ForbiddenScriptError(sval.toString(), forbidden);
+    }
+  }
 
-    for (let i = 0; i < filter.statements.length; i++) {
-      const statement = filter.statements[i];
-      const sval = statement.value;
 
-      if (statement.conjunctive === 'or' && must.length > 0) {
-        groups.push({ bool: { must } });
-        must = [];
+  _permit(target, operator, isTarget) {
+    if (!this._isLength(target)) this._access(target);
+
+    pointers(target).forEach((pointer) => {
+      const { operators } = this._strategy.field(pointer);
+
+      if (operators === null) return;
+
+      if (operators.indexOf(operator) === -1) {
+        throw new errors.DeniedOperatorError(pointer, operator);
       }
 
-      if (sval instanceof Filter) {
-        must.push(this._build(sval));
-        continue;
+      if (isTarget && operators.indexOf('target') === -1) {
+        throw new errors.DeniedOperatorError(pointer, 'target');
       }
+    });
+  }
 
-      if (!(sval instanceof Clause)) throw new errors.ConvertError();
 
-      const subIsTarget = sval.subject instanceof Target;
-      const objIsTarget = sval.object instanceof Target;
+  _boost(clause, dsl) {
+    if (!this._options.score) return dsl;
 
-      if (subIsTarget && objIsTarget) {
-        must.push(this._scriptTargets(sval));
-        continue;
-      }
+    let value = this._settings(clause.subject).boost;
+
+    if (value !== null && typeof value === 'object') {
+      value = value[clause.operator.type];
+    }
+
+    return (typeof value === 'number') ? boost(dsl, value) : dsl;
+  }
+
+
+  _isLength(target) {
+    const { path } = target;
+
+    return path.length > 1
+      && path[path.length - 1] === this._strategy.lengthMarker
+      && fieldDepth(target) === path.length;
+  }
+
+
+  _length(lengthClause) {
+    const clause = coerceClause(lengthClause, 'integer', null);
+    const { subject, operator, object } = clause;
+    const pointer = subject.field.slice(0, subject.field.lastIndexOf('/'));
+    const array = new Target(subject.path.slice(0, -1), pointer);
+
+    if (object === null) throw new errors.ConvertError(msg.lengthNil + pointer);
 
-      if (!subIsTarget && !objIsTarget) {
-        must.push(scriptLiterals(sval));
-        continue;
+    const field = this._field(array);
+    const { lengthField } = this._strategy.field(pointer);
+
+    if (lengthField === null) {
+      assertDocValues(field, operator.type);
+
+      const path = this._nestedPath(field.path);
+      const positive = (path !== null) ? negations[operator.type] : undefined;
+      const counted = (typeof positive === 'string')
+        ? { subject, operator: { type: positive }, object }
+        : clause;
+      const dsl = this._painless(painless.docCount, counted, 'number', {
+        field: field.term,
+      });
+
+      return this._place(clause, (counted === clause) ? dsl : not(dsl), path);
+    }
+
+    if (operator.type === 'like' || operator.type === 'nlike') {
+      throw new errors.IncompatibleOperatorError(
+        subject.field,
+        operator.type,
+        'token_count'
+      );
+    }
+
+    this._resolved.set(subject, {
+      pointer: subject.field,
+      path: lengthField,
+      term: lengthField,
+      type: 'token_count',
+      declared: null,
+      format: null,
+      timeZone: null,
+      date: false,
+      analyzed: false,
+      fullText: null,
+      caseInsensitive: false,
+      folded: null,
+      mapping: mapping.unmapped,
+    });
+
+    return this._place(clause, this._clause(clause), this._nestedPath(lengthField));
+  }
+
+
+  _painless(accessor, clause, comparison, params) {
+    const { subject, operator, object } = clause;
+
+    if ((operator.type === 'in' || operator.type === 'nin')
+        && !Array.isArray(object)) {
+      throw new errors.ConvertError();
+    }
+
+    if ((operator.type === 'between' || operator.type === 'nbetween')
+        && !(object instanceof Range)) {
+      throw new errors.ConvertError();
+    }
+
+    const script = painless.compare(operator.type, object, comparison);
+
+    if (script === null) {
+      throw new errors.IncompatibleOperatorError(
+        subject.field,
+        operator.type,
+        'array'
+      );
+    }
+
+    return this._script(
+      `${accessor} return ${script.source};`,
+      Object.assign(script.params, params)
+    );
+  }
+
+
+  _indexed(clause) {
+    const { subject } = clause;
+    const { index } = this._strategy.field(subject.field);
+
+    if (index === false) throw new errors.UnsupportedIndexError(subject.field);
+
+    const path = this._target(subject);
+    const tail = subject.path.slice(fieldDepth(subject));
+    const field = this._field(subject);
+
+    if (field.date && clause.object !== null) {
+      throw new errors.IncompatibleOperatorError(
+        subject.field,
+        clause.operator.type,
+        elv.coalesce(field.type, 'date')
+      );
+    }
+
+    const comparison = scriptComparator(field, clause.object);
+
+    if (index === 'source') {
+      return this._painless(painless.sourceValue, clause, comparison, {
+        path: path.split('.').concat(tail),
+      });
+    }
+
+    if (tail.length > 1) throw new errors.InvalidTargetError(subject);
+
+    assertScriptable(field, clause.operator.type);
+
+    return this._painless(painless.docValue, clause, comparison, {
+      field: field.term,
+      index: tail[0],
+    });
+  }
+
+
+  _virtual(clause, handler) {
+    this._access(clause.subject);
+
+    const dsl = handler(clause);
+
+    if (!elv(dsl) || typeof dsl !== 'object') {
+      throw new errors.ConvertError(msg.virtualResult + clause.subject.field);
+    }
+
+    return dsl;
+  }
+
+
+  _nestedPath(path) {
+    let result = null;
+
+    this._strategy.nested.forEach((nested) => {
+      if (path.startsWith(`${nested}.`)
+          && (result === null || nested.length > result.length)) {
+        result = nested;
       }
+    });
 
-      const clause = normalizeClause(statement.value);
+    return result;
+  }
 
-      switch (clause.operator.type) {
-        case 'eq':
-          must.push(this._eq(clause));
-          break;
 
-        case 'neq':
-          must.push(this._neq(clause));
-          break;
+  _nest(query, path) {
+    let result = query;
 
-        case 'gt':
-          must.push(this._gt(clause));
-          break;
+    for (let current = path; current !== null; current = this._nestedPath(current)) {
+      result = { nested: { path: current, query: result } };
+    }
 
-        case 'gte':
-          must.push(this._gte(clause));
-          break;
+    return result;
+  }
 
-        case 'lt':
-          must.push(this._lt(clause));
-          break;
 
-        case 'lte':
-          must.push(this._lte(clause));
-          break;
+  _collapse(items) {
+    let result = items;
 
-        case 'like':
-          must.push(this._like(clause));
-          break;
+    for (;;) {
+      let deepest = null;
 
-        case 'nlike':
-          must.push(this._nlike(clause));
-          break;
+      for (let i = 0; i < result.length; i++) {
+        const { path } = result[i];
+
+        if (path !== null && (deepest === null || path.length > deepest.length)) {
+          deepest = path;
+        }
+      }
+
+      if (deepest === null) return result;
+
+      const matched = result.filter(item => item.path === deepest);
+      const query = (matched.length === 1)
+        ? matched[0].dsl
+        : { bool: { must: matched.map(item => item.dsl) } };
+
+      const index = result.indexOf(matched[0]);
+
+      result = result.filter(item => item.path !== deepest);
+      result.splice(index, 0, {
+        dsl: { nested: { path: deepest, query } },
+        path: this._nestedPath(deepest),
+      });
+    }
+  }
 
-        case 'between':
-          must.push(this._between(clause));
-          break;
 
-        case 'nbetween':
-          must.push(this._nbetween(clause));
-          break;
+  _limit(name, actual) {
+    const maximum = this._strategy.limits[name];
 
-        case 'in':
-          must.push(this._in(clause));
-          break;
+    if (maximum !== null && actual > maximum) {
+      throw new errors.ComplexityError(name, maximum, actual);
+    }
+  }
+
+
+  _build(filter, depth) {
+    if (depth === 1) {
+      const size = measure(filter, depth);
+      this._limit('depth', size.depth);
+      this._limit('clauses', size.clauses);
+    }
 
-        case 'nin':
-          must.push(this._nin(clause));
-          break;
+    const groups = [];
+    let items = [];
 
-        default:
-          throw new errors.ConvertError(msg.unknownOp + sval.operator.type);
+    for (let i = 0; i < filter.statements.length; i++) {
+      const statement = filter.statements[i];
+
+      if (statement.conjunctive === 'or' && items.length > 0) {
+        groups.push(items);
+        items = [];
       }
+
+      items.push(this._statement(statement.value, depth));
     }
 
-    if (groups.length === 0) {
-      value.bool.must = must;
-    } else {
-      groups.push({ bool: { must } });
-      value.bool.should = groups;
+    groups.push(items);
+
+    const simplified = simplify(groups);
+
+    if (typeof simplified === 'boolean') return constant(simplified);
+
+    const { path } = simplified[0][0];
+    const isShared = path !== null && simplified.every(group => (
+      group.every(item => item.path === path)
+    ));
+
+    const musts = simplified.map((group) => {
+      const collapsed = (isShared) ? group : this._collapse(group);
+      return collapsed.map(item => item.dsl);
+    });
+
+    const dsl = (musts.length === 1)
+      ? { bool: { must: musts[0] } }
+      : { bool: { should: musts.map(must => ({ bool: { must } })) } };
+
+    if (musts.length > 1 && this._options.score) {
+      dsl.bool.minimum_should_match = 1;
     }
 
-    return value;
+    return { dsl, path: (isShared) ? path : null };
   }
 
 
   build() {
-    this.value = {
-      filter: this._build(this._filter),
-    };
+    const clause = this._collapse([this._build(this._filter, 1)])[0].dsl;
+
+    this._limit('scripts', this._scripts);
+
+    if (this._options.score) {
+      this._score(clause);
+      return;
+    }
+
+    switch (this._strategy.output) {
+      case 'bool':
+        this.value = { bool: { filter: clause } };
+        break;
+
+      case 'clause':
+        this.value = clause;
+        break;
+
+      case 'constant_score':
+        this.value = { constant_score: { filter: clause } };
+        break;
+
+      case 'query':
+        this.value = { query: { bool: { filter: clause } } };
+        break;
+
+      default:
+        this.value = { filter: clause };
+        break;
+    }
+  }
+
+
+  _score(clause) {
+    switch (this._strategy.output) {
+      case 'bool':
+        this.value = { bool: { must: clause } };
+        break;
+
+      case 'clause':
+        this.value = clause;
+        break;
+
+      case 'query':
+        this.value = { query: { bool: { must: clause } } };
+        break;
+
+      default:
+        this.value = { query: clause };
+        break;
+    }
+  }
+
+
+  resolve() {
+    const { discriminator } = this._strategy;
+
+    if (discriminator === null) return;
+
+    const values = discriminate(this._filter, discriminator);
+
+    if (values === null) {
+      this.types = discriminator.types.slice();
+      return;
+    }
+
+    const types = new Set();
+    values.forEach(value => types.add(discriminator.map.get(value)));
+
+    this.types = discriminator.types.filter(type => types.has(type));
   }
 
 
@@ -411,13 +1535,15 @@ class Builder {
 }
 
 
-module.exports = function convert(filter, strategy = defaultStrategy) {
-  const builder = new Builder(filter, strategy);
+module.exports = function convert(filter, strategy = defaultStrategy, options) {
+  const builder = new Builder(filter, strategy, options);
   builder.build();
   builder.validate();
+  builder.resolve();
 
   return {
     fields: builder.fields,
+    types: builder.types,
     value: builder.value,
   };
 };
@@ -0,0 +1,50 @@
+'use strict';
+
+
+const iso = new RegExp([
+  '^\\d{4}',
+  '(-(0[1-9]|1[0-2])',
+  '(-(0[1-9]|[12]\\d|3[01])',
+  '(T([01]\\d|2[0-3])',
+  '(:[0-5]\\d',
+  '(:[0-5]\\d',
+  '([.,]\\d{1,9})?)?)?',
+  '(Z|[+-]([01]\\d|2[0-3])(:?[0-5]\\d)?)?',
+  ')?)?)?$',
+].join(''));
+
+const math = /^([+-]\d+[yMwdhHms]|\/[yMwdhHms])*$/;
+const offset = /^[+-]([01]\d|2[0-3])(:?[0-5]\d)?$/;
+const zone = /^[A-Za-z][A-Za-z0-9_+-]*(\/[A-Za-z0-9_+-]+)*$/;
+
+
+function isAnchor(value, format) {
+  return (format === null) ? iso.test(value) : value.length > 0;
+}
+
+
+function isDate(value, format) {
+  if (typeof value === 'number') return Number.isSafeInteger(value);
+  if (typeof value !== 'string') return false;
+
+  if (value.startsWith('now')) return math.test(value.slice(3));
+
+  const index = value.indexOf('||');
+
+  if (index === -1) return isAnchor(value, format);
+
+  return value.slice(0, index) !== 'now'
+    && isAnchor(value.slice(0, index), format)
+    && math.test(value.slice(index + 2));
+}
+
+
+function isTimeZone(value) {
+  return typeof value === 'string' && (offset.test(value) || zone.test(value));
+}
+
+
+module.exports = {
+  isDate,
+  isTimeZone,
+};
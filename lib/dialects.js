@@ -0,0 +1,57 @@
+'use strict';
+
+
+const dialects = {
+  es5: {
+    name: 'es5',
+    boolPrefix: false,
+    caseInsensitive: false,
+    scriptSource: 'inline',
+  },
+
+  es6: {
+    name: 'es6',
+    boolPrefix: false,
+    caseInsensitive: false,
+    scriptSource: 'source',
+  },
+
+  es7: {
+    name: 'es7',
+    boolPrefix: true,
+    caseInsensitive: true,
+    scriptSource: 'source',
+  },
+
+  es8: {
+    name: 'es8',
+    boolPrefix: true,
+    caseInsensitive: true,
+    scriptSource: 'source',
+  },
+
+  opensearch1: {
+    name: 'opensearch1',
+    boolPrefix: true,
+    caseInsensitive: true,
+    scriptSource: 'source',
+  },
+
+  opensearch2: {
+    name: 'opensearch2',
+    boolPrefix: true,
+    caseInsensitive: true,
+    scriptSource: 'source',
+  },
+};
+
+
+module.exports = {
+  get(version) {
+    return (Object.prototype.hasOwnProperty.call(dialects, version))
+      ? dialects[version]
+      : null;
+  },
+
+  versions: Object.keys(dialects),
+};
@@ -4,14 +4,32 @@ const elv = require('elv');
 
 
 const msg = {
+  complexity: 'Filter exceeds complexity limit: ',
   deniedField: 'Black listed field encountered: ',
+  deniedOperator: 'Operator is not allowed for field: ',
+  forbiddenScript: 'Script queries are not allowed for clause: ',
+  incompatibleOperator: 'Operator is not compatible with the mapped type of field: ',
   invalidTarget: 'Invalid target encountered: ',
+  invalidValue: 'Value cannot be coerced to the type of field: ',
+  leadingWildcard: 'Pattern begins with a wildcard for field: ',
   nonallowedField: 'Non-white listed field encountered: ',
   requiredField: 'Missing required field: ',
+  unsupportedIndex: 'Array indexes are not supported for field: ',
   convert: 'Invalid filter.  Unable to convert.',
 };
 
 
+function ComplexityError(limit, maximum, actual) {
+  Error.captureStackTrace(this, ComplexityError);
+  this.message = `${msg.complexity}${limit} (${actual} exceeds maximum of ${maximum} by ${actual - maximum})`;
+  this.data = { limit, maximum, actual };
+  this.name = 'ComplexityError';
+}
+ComplexityError.defaultMessage = msg.complexity;
+ComplexityError.prototype = Object.create(Error.prototype);
+ComplexityError.prototype.constructor = ComplexityError;
+
+
 function ConvertError(message) {
   Error.captureStackTrace(this, ConvertError);
   this.message = elv.coalesce(message, msg.convert);
@@ -33,6 +51,39 @@ DeniedFieldError.prototype = Object.create(Error.prototype);
 DeniedFieldError.prototype.constructor = DeniedFieldError;
 
 
+function DeniedOperatorError(field, operator) {
+  Error.captureStackTrace(this, DeniedOperatorError);
+  this.message = `${msg.deniedOperator}${field} (${operator})`;
+  this.data = { field, operator };
+  this.name = 'DeniedOperatorError';
+}
+DeniedOperatorError.defaultMessage = msg.deniedOperator;
+DeniedOperatorError.prototype = Object.create(Error.prototype);
+DeniedOperatorError.prototype.constructor = DeniedOperatorError;
+
+
+function ForbiddenScriptError(clause, fields) {
+  Error.captureStackTrace(this, ForbiddenScriptError);
+  this.message = msg.forbiddenScript + clause;
+  this.data = { clause, fields };
+  this.name = 'ForbiddenScriptError';
+}
+ForbiddenScriptError.defaultMessage = msg.forbiddenScript;
+ForbiddenScriptError.prototype = Object.create(Error.prototype);
+ForbiddenScriptError.prototype.constructor = ForbiddenScriptError;
+
+
+function IncompatibleOperatorError(field, operator, type) {
+  Error.captureStackTrace(this, IncompatibleOperatorError);
+  this.message = `${msg.incompatibleOperator}${field} (${operator} on ${type})`;
+  this.data = { field, operator, type };
+  this.name = 'IncompatibleOperatorError';
+}
+IncompatibleOperatorError.defaultMessage = msg.incompatibleOperator;
+IncompatibleOperatorError.prototype = Object.create(Error.prototype);
+IncompatibleOperatorError.prototype.constructor = IncompatibleOperatorError;
+
+
 function InvalidTargetError(target) {
   Error.captureStackTrace(this, InvalidTargetError);
   this.message = msg.invalidTarget + target.toJsonPointer();
@@ -44,6 +95,28 @@ InvalidTargetError.prototype = Object.create(Error.prototype);
 InvalidTargetError.prototype.constructor = InvalidTargetError;
 
 
+function InvalidValueError(field, value, type) {
+  Error.captureStackTrace(this, InvalidValueError);
+  this.message = `${msg.invalidValue}${field} (${JSON.stringify(value)} to ${type})`;
+  this.data = { field, value, type };
+  this.name = 'InvalidValueError';
+}
+InvalidValueError.defaultMessage = msg.invalidValue;
+InvalidValueError.prototype = Object.create(Error.prototype);
+InvalidValueError.prototype.constructor = InvalidValueError;
+
+
+function LeadingWildcardError(field, pattern) {
+  Error.captureStackTrace(this, LeadingWildcardError);
+  this.message = `${msg.leadingWildcard}${field} (${pattern})`;
+  this.data = { field, pattern };
+  this.name = 'LeadingWildcardError';
+}
+LeadingWildcardError.defaultMessage = msg.leadingWildcard;
+LeadingWildcardError.prototype = Object.create(Error.prototype);
+LeadingWildcardError.prototype.constructor = LeadingWildcardError;
+
+
 function NonallowedFieldError(field) {
   Error.captureStackTrace(this, NonallowedFieldError);
   this.message = msg.nonallowedField + field;
@@ -66,10 +139,28 @@ RequiredFieldError.prototype = Object.create(Error.prototype);
 RequiredFieldError.prototype.constructor = RequiredFieldError;
 
 
+function UnsupportedIndexError(field) {
+  Error.captureStackTrace(this, UnsupportedIndexError);
+  this.message = msg.unsupportedIndex + field;
+  this.data = field;
+  this.name = 'UnsupportedIndexError';
+}
+UnsupportedIndexError.defaultMessage = msg.unsupportedIndex;
+UnsupportedIndexError.prototype = Object.create(Error.prototype);
+UnsupportedIndexError.prototype.constructor = UnsupportedIndexError;
+
+
 module.exports = {
+  ComplexityError,
   ConvertError,
   DeniedFieldError,
+  DeniedOperatorError,
+  ForbiddenScriptError,
+  IncompatibleOperatorError,
   InvalidTargetError,
+  InvalidValueError,
+  LeadingWildcardError,
   NonallowedFieldError,
   RequiredFieldError,
+  UnsupportedIndexError,
 };
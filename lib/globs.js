@@ -0,0 +1,54 @@
+'use strict';
+
+
+const reserved = /[.?+^$|{}[\]()\\]/g;
+
+
+function toRegExp(entry) {
+  const segments = entry.split('/');
+  let source = segments[0].replace(reserved, '\\$&');
+
+  for (let i = 1; i < segments.length; i++) {
+    const segment = segments[i];
+
+    source += (segment === '**')
+      ? '(?:/[^/]*)*'
+      : `/${segment.replace(reserved, '\\$&').replace(/\*+/g, '[^/]*')}`;
+  }
+
+  return new RegExp(`^${source}(?:/.*)?$`);
+}
+
+
+function compile(entries) {
+  const compiled = { exact: new Set(), patterns: [] };
+
+  entries.forEach((entry) => {
+    if (entry.indexOf('*') === -1) {
+      compiled.exact.add(entry);
+    } else {
+      compiled.patterns.push(toRegExp(entry));
+    }
+  });
+
+  return compiled;
+}
+
+
+function matches(compiled, pointer) {
+  for (let end = pointer.length; end > 0; end = pointer.lastIndexOf('/', end - 1)) {
+    if (compiled.exact.has(pointer.slice(0, end))) return true;
+  }
+
+  for (let i = 0; i < compiled.patterns.length; i++) {
+    if (compiled.patterns[i].test(pointer)) return true;
+  }
+
+  return false;
+}
+
+
+module.exports = {
+  compile,
+  matches,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+const elv = require('elv');
+
+
+const msg = {
+  argMapping: 'Argument "settings.mapping" must be an object',
+  argProperty: 'Mapping properties must be objects: ',
+};
+
+
+const ranges = ['gt', 'gte', 'lt', 'lte', 'between', 'nbetween'];
+const patterns = ['like', 'nlike'];
+const all = ['eq', 'neq', 'in', 'nin'].concat(ranges, patterns);
+
+const numeric = new Set(patterns);
+
+const incompatible = {
+  boolean: new Set(patterns.concat(ranges)),
+  byte: numeric,
+  date: new Set(patterns),
+  date_nanos: new Set(patterns),
+  double: numeric,
+  float: numeric,
+  half_float: numeric,
+  integer: numeric,
+  ip: new Set(patterns),
+  long: numeric,
+  nested: new Set(all),
+  object: new Set(all),
+  scaled_float: numeric,
+  short: numeric,
+  text: new Set(patterns.concat(ranges)),
+  unsigned_long: numeric,
+};
+
+
+function isNumeric(type) {
+  return incompatible[type] === numeric;
+}
+
+
+const unmapped = Object.freeze({
+  type: null,
+  format: null,
+  keyword: null,
+});
+
+
+function findKeyword(fields) {
+  if (!elv(fields) || typeof fields !== 'object') return null;
+
+  const names = Object.keys(fields);
+  let keyword = null;
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const field = fields[name];
+
+    if (elv(field) && field.type === 'keyword') {
+      if (name === 'keyword') return name;
+      if (keyword === null) keyword = name;
+    }
+  }
+
+  return keyword;
+}
+
+
+function flatten(properties, prefix, result) {
+  const names = Object.keys(properties);
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const property = properties[name];
+    const path = (prefix.length > 0) ? `${prefix}.${name}` : name;
+
+    if (!elv(property) || typeof property !== 'object') {
+      throw new TypeError(msg.argProperty + path);
+    }
+
+    const hasProperties = elv(property.properties)
+      && typeof property.properties === 'object';
+
+    const type = elv.coalesce(
+      property.type,
+      () => (hasProperties ? 'object' : null)
+    );
+
+    result.set(path, {
+      type,
+      format: (elv(property.format)) ? property.format : null,
+      keyword: (type === 'text') ? findKeyword(property.fields) : null,
+    });
+
+    if (hasProperties) flatten(property.properties, path, result);
+  }
+}
+
+
+function collect(value, result) {
+  if (elv(value.properties) && typeof value.properties === 'object') {
+    flatten(value.properties, '', result);
+    return;
+  }
+
+  if (elv(value.mappings) && typeof value.mappings === 'object') {
+    collect(value.mappings, result);
+    return;
+  }
+
+  const keys = Object.keys(value);
+
+  for (let i = 0; i < keys.length; i++) {
+    const child = value[keys[i]];
+    if (elv(child) && typeof child === 'object') collect(child, result);
+  }
+}
+
+
+function compile(value) {
+  const result = new Map();
+
+  if (!elv(value)) return result;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(msg.argMapping);
+  }
+
+  collect(value, result);
+
+  return result;
+}
+
+
+function serialize(compiled) {
+  const root = { properties: {} };
+  const nodes = new Map();
+
+  compiled.forEach((entry, path) => {
+    let parent = root;
+    let name = path;
+
+    for (let i = path.lastIndexOf('.'); i > 0; i = path.lastIndexOf('.', i - 1)) {
+      if (nodes.has(path.slice(0, i))) {
+        parent = nodes.get(path.slice(0, i));
+        name = path.slice(i + 1);
+        break;
+      }
+    }
+
+    const property = {};
+
+    if (entry.type !== null) property.type = entry.type;
+    if (entry.format !== null) property.format = entry.format;
+
+    if (entry.keyword !== null) {
+      property.fields = {};
+      property.fields[entry.keyword] = { type: 'keyword' };
+    }
+
+    if (!elv(parent.properties)) parent.properties = {};
+
+    parent.properties[name] = property;
+    nodes.set(path, property);
+  });
+
+  return root;
+}
+
+
+function supports(entry, operator) {
+  if (entry.type === 'text' && entry.keyword !== null) return true;
+
+  if (!Object.prototype.hasOwnProperty.call(incompatible, entry.type)) {
+    return true;
+  }
+
+  return !incompatible[entry.type].has(operator);
+}
+
+
+module.exports = {
+  compile,
+  isNumeric,
+  serialize,
+  supports,
+  unmapped,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+
+const comparisons = {
+  eq: '==',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+
+const sourceValue = 'def value = params._source; '
+  + 'for (def key : params.path) { '
+  + 'if (value instanceof List) { '
+  + 'value = (key instanceof Integer && key < value.size()) ? value.get(key) : null; '
+  + '} else if (value instanceof Map) { value = value.get(key); } '
+  + 'else { value = null; } '
+  + '}';
+
+
+const docValue = 'def value = (doc.containsKey(params.field) '
+  + '&& doc[params.field].size() > params.index) '
+  + '? doc[params.field][params.index] : null;';
+
+
+const docCount = 'def value = doc.containsKey(params.field) '
+  + '? doc[params.field].size() : 0;';
+
+
+const fieldValues = 'def subjects = doc.containsKey(params.subject) '
+  + '? doc[params.subject] : []; '
+  + 'def objects = doc.containsKey(params.object) '
+  + '? doc[params.object] : [];';
+
+
+function nil(operator) {
+  switch (operator) {
+    case 'eq':
+    case 'lt':
+    case 'lte':
+      return 'value == null';
+
+    default:
+      return 'value != null';
+  }
+}
+
+
+function order(operator, a, b, comparator) {
+  const op = comparisons[operator];
+
+  switch (comparator) {
+    case 'number':
+      return `${a} ${op} ${b}`;
+
+    case 'comparable':
+      return `${a}.compareTo(${b}) ${op} 0`;
+
+    default:
+      return `(${a} instanceof Number) ? ${a} ${op} ${b} : ${a}.compareTo(${b}) ${op} 0`;
+  }
+}
+
+
+function ordered(operator, param, comparator) {
+  const result = order(operator, 'value', param, comparator);
+
+  return (comparator === 'number' || comparator === 'comparable')
+    ? result
+    : `(${result})`;
+}
+
+
+function between(comparator) {
+  return `value != null && ${ordered('gte', 'params.lower', comparator)} `
+    + `&& ${ordered('lte', 'params.upper', comparator)}`;
+}
+
+
+function compare(operator, object, comparator) {
+  if (object === null) return { source: nil(operator), params: {} };
+
+  switch (operator) {
+    case 'eq':
+    case 'neq':
+      return {
+        source: `value ${comparisons[operator]} params.value`,
+        params: { value: object },
+      };
+
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return {
+        source: `value != null && ${ordered(operator, 'params.value', comparator)}`,
+        params: { value: object },
+      };
+
+    case 'in':
+      return {
+        source: 'params.value.stream().anyMatch(v -> v == value)',
+        params: { value: object },
+      };
+
+    case 'nin':
+      return {
+        source: '!params.value.stream().anyMatch(v -> v == value)',
+        params: { value: object },
+      };
+
+    case 'between':
+      return {
+        source: between(comparator),
+        params: { lower: object.lower, upper: object.upper },
+      };
+
+    case 'nbetween':
+      return {
+        source: `!(${between(comparator)})`,
+        params: { lower: object.lower, upper: object.upper },
+      };
+
+    default:
+      return null;
+  }
+}
+
+
+function test(operator, comparator) {
+  if (operator === 'eq') return 'a == b';
+
+  return order(operator, 'a', 'b', comparator);
+}
+
+
+function compareFields(operator, comparator, mode) {
+  const negate = operator === 'neq';
+  const type = (negate) ? 'eq' : operator;
+
+  if (!Object.prototype.hasOwnProperty.call(comparisons, type)) return null;
+
+  if (negate && mode === 'all') {
+    return `${fieldValues} return subjects.stream()`
+      + '.allMatch(a -> objects.stream().allMatch(b -> a != b));';
+  }
+
+  const match = (mode === 'all') ? 'allMatch' : 'anyMatch';
+  const result = '!subjects.isEmpty() && !objects.isEmpty() '
+    + `&& subjects.stream().${match}(a -> objects.stream().${match}(b -> `
+    + `${test(type, comparator)}))`;
+
+  return `${fieldValues} return ${(negate) ? `!(${result})` : result};`;
+}
+
+
+module.exports = {
+  compare,
+  compareFields,
+  docCount,
+  docValue,
+  sourceValue,
+};
@@ -0,0 +1,230 @@
+'use strict';
+
+
+const regexpReserved = /[.?+*|{}[\]()"\\#@&<>~]/g;
+const wildcardReserved = /[?*\\]/g;
+const queryStringReserved = /[+\-=&|!(){}[\]^"~*?:\\/]/g;
+const queryStringRemoved = /[<>]/g;
+const queryStringOperators = /(^|\s)(AND|OR|NOT)(?=\s|$)/g;
+const jsReserved = /[.*+?^${}()|[\]\\]/g;
+
+
+function literal(tokens, value) {
+  const last = tokens[tokens.length - 1];
+
+  if (typeof last !== 'undefined' && last.type === 'literal') {
+    last.value += value;
+    return;
+  }
+
+  tokens.push({ type: 'literal', value });
+}
+
+
+function parse(value) {
+  const tokens = [];
+  let isEscaping = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (isEscaping) {
+      isEscaping = false;
+      literal(tokens, (char === '*' || char === '_') ? char : `\\${char}`);
+      continue;
+    }
+
+    switch (char) {
+      case '\\':
+        isEscaping = true;
+        break;
+
+      case '*':
+        tokens.push({ type: 'any' });
+        break;
+
+      case '_':
+        tokens.push({ type: 'one' });
+        break;
+
+      default:
+        literal(tokens, char);
+        break;
+    }
+  }
+
+  if (isEscaping) literal(tokens, '\\');
+
+  return tokens;
+}
+
+
+function toRegexp(tokens) {
+  let regexp = '';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token.type) {
+      case 'any':
+        regexp += '.*';
+        break;
+
+      case 'one':
+        regexp += '.';
+        break;
+
+      default:
+        regexp += token.value.replace(regexpReserved, '\\$&');
+        break;
+    }
+  }
+
+  return regexp;
+}
+
+
+function toWildcard(tokens) {
+  let wildcard = '';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token.type) {
+      case 'any':
+        wildcard += '*';
+        break;
+
+      case 'one':
+        wildcard += '?';
+        break;
+
+      default:
+        wildcard += token.value.replace(wildcardReserved, '\\$&');
+        break;
+    }
+  }
+
+  return wildcard;
+}
+
+
+function toQueryString(tokens) {
+  let query = '';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token.type) {
+      case 'any':
+        query += '*';
+        break;
+
+      case 'one':
+        query += '?';
+        break;
+
+      default:
+        query += token.value
+          .replace(queryStringRemoved, '')
+          .replace(queryStringReserved, '\\$&')
+          .replace(queryStringOperators, '$1\\$2');
+        break;
+    }
+  }
+
+  return query;
+}
+
+
+function match(tokens, value) {
+  if (typeof value !== 'string') return false;
+
+  let source = '^';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token.type) {
+      case 'any':
+        source += '[\\s\\S]*';
+        break;
+
+      case 'one':
+        source += '[\\s\\S]';
+        break;
+
+      default:
+        source += token.value.replace(jsReserved, '\\$&');
+        break;
+    }
+  }
+
+  return new RegExp(`${source}$`).test(value);
+}
+
+
+function isLeading(tokens) {
+  return tokens.length > 0 && tokens[0].type !== 'literal';
+}
+
+
+function isTrailing(tokens) {
+  return tokens.length > 0 && tokens[tokens.length - 1].type !== 'literal';
+}
+
+
+function contained(tokens) {
+  return (tokens.length === 3
+      && tokens[0].type === 'any'
+      && tokens[1].type === 'literal'
+      && tokens[2].type === 'any')
+    ? tokens[1].value
+    : null;
+}
+
+
+function reverse(tokens) {
+  return tokens.slice().reverse().map(token => (
+    (token.type === 'literal')
+      ? { type: 'literal', value: Array.from(token.value).reverse().join('') }
+      : token
+  ));
+}
+
+
+function wildcards(tokens) {
+  return tokens.filter(token => token.type === 'any').length;
+}
+
+
+function plan(tokens) {
+  if (tokens.length === 0) return { type: 'term', value: '' };
+
+  if (tokens.length === 1 && tokens[0].type === 'literal') {
+    return { type: 'term', value: tokens[0].value };
+  }
+
+  if (tokens.length === 2
+      && tokens[0].type === 'literal'
+      && tokens[1].type === 'any') {
+    return { type: 'prefix', value: tokens[0].value };
+  }
+
+  return { type: 'wildcard', value: toWildcard(tokens) };
+}
+
+
+module.exports = {
+  contained,
+  isLeading,
+  isTrailing,
+  match,
+  parse,
+  plan,
+  reverse,
+  toQueryString,
+  toRegexp,
+  toWildcard,
+  wildcards,
+};
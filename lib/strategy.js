@@ -1,21 +1,179 @@
 'use strict';
 
 const elv = require('elv');
+const fs = require('fs');
+
+const coerce = require('./coerce');
+const dates = require('./dates');
+const dialects = require('./dialects');
+const globs = require('./globs');
+const mapping = require('./mapping');
 
 
 const msg = {
   argSettingsRequired: 'Argument "settings" is required',
   argSettingsObj: 'Argument "settings" must be an object',
   argSettingsAllowDeny: 'Argument "settings" cannot have by "allow" and "deny"',
+  argSettingsRequireDeny: 'Argument "settings" cannot both require and deny field: ',
   argSettingsDis: 'Argument "settings.discriminator" must be an object',
-  argTarget: 'Argument "discriminator.target" is required',
-  argMap: 'Argument "discriminator.map" is required',
-  argTargetStr: 'Argument "discriminator.target" must be a non-empty string',
-  argMapObj: 'Argument "discriminator.map" must be an object',
-  argMappedType: 'Mapped discriminator type names must be non-empty strings',
+  argTarget: 'Argument "settings.discriminator.target" is required',
+  argMap: 'Argument "settings.discriminator.map" is required',
+  argTargetStr: 'Argument "settings.discriminator.target" must be a non-empty string',
+  argMapObj: 'Argument "settings.discriminator.map" must be an object',
+  argMappedType: ' must be a non-empty type name string',
+  argOutput: 'Argument "settings.output" must be one of: ',
+  argLeadingWildcard: 'Argument "settings.leadingWildcard" must be one of: ',
+  argMultiValued: 'Argument "settings.multiValued" must be one of: ',
+  argVersion: 'Argument "settings.version" must be one of: ',
+  argLimits: 'Argument "settings.limits" must be an object',
+  argScripts: 'Argument "settings.scripts" must be a Boolean or an array',
+  argLimit: ' must be a positive integer',
+  argRegexp: 'Argument "settings.regexp" must be an object',
+  argRegexpFlags: 'Argument "settings.regexp.flags" must be a "|" delimited string of: ',
+  argRegexpCase: 'Argument "settings.regexp.caseInsensitive" must be a Boolean',
+  argRegexpCaseVersion: 'Argument "settings.regexp.caseInsensitive" is not supported by version: ',
+  argRegexpStates: 'Argument "settings.regexp.maxDeterminizedStates" must be a positive integer',
+  argFields: 'Argument "settings.fields" must be an object',
+  argFieldsKey: 'Argument "settings.fields" keys must be RFC 6901 JSON pointers',
+  argNested: 'Argument "settings.nested" must be an array of RFC 6901 JSON pointers',
+  argField: ' must be an object',
+  argFieldPattern: ' must be one of: ',
+  argFieldField: ' must be a dot notation Elasticsearch field path',
+  argFieldHandler: ' must be a function',
+  argFieldIndex: ' must be one of: "doc", "source", false',
+  argFieldLength: ' must be a dot notation Elasticsearch field path',
+  argFieldBoost: ' must be a positive number, or an object of positive numbers keyed by operator',
+  argFieldCase: ' must be a Boolean',
+  argFieldFormat: ' must be a non-empty string',
+  argFieldFullText: ' must be a Boolean or an object',
+  argFieldAnalyzer: ' must be a non-empty string',
+  argFieldOperator: ' must be one of: and, or',
+  argFieldLike: ' must be one of: auto, query_string',
+  argFieldOperators: ' must be a non-empty array of: ',
+  argFieldNgram: ' must be a dot notation Elasticsearch field path',
+  argFieldNormalized: ' must be a dot notation Elasticsearch field path',
+  argFieldNormalizedVersion: ' is required for caseInsensitive fields with version: ',
+  argFieldReverse: ' must be a dot notation Elasticsearch field path',
+  argFieldTimeZone: ' must be a UTC offset or IANA time zone ID',
+  argFieldType: ' must be one of: ',
+  argFieldValues: ' must be a non-empty array of strings or numbers',
+  argFieldValuesEnum: ' is only allowed when "type" is "enum"',
+  argLengthMarker: 'Argument "settings.lengthMarker" must be a non-empty string without "/"',
+  argJson: 'Argument "json" must be a JSON string or an object',
+  argJsonParse: 'Argument "json" is not valid JSON: ',
+  argFile: 'Argument "file" must be a non-empty string',
+  argBase: 'Argument "base" must be an instance of Strategy',
+  argFileParse: ' is not valid JSON: ',
+  argUnknown: ' is not a recognized setting',
+  handlerJson: 'Virtual field handlers cannot be serialized: ',
 };
 
 
+const regexpFlags = new Set([
+  'ALL',
+  'ANYSTRING',
+  'COMPLEMENT',
+  'EMPTY',
+  'INTERSECTION',
+  'INTERVAL',
+  'NONE',
+]);
+
+
+const patterns = new Set([
+  'auto',
+  'regexp',
+  'wildcard',
+]);
+
+
+const leadingWildcards = new Set([
+  'allow',
+  'deny',
+]);
+
+
+const multiValues = new Set([
+  'any',
+  'all',
+]);
+
+
+const indexes = new Set([
+  'doc',
+  'source',
+  false,
+]);
+
+
+const operators = new Set([
+  'eq',
+  'neq',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'like',
+  'nlike',
+  'between',
+  'nbetween',
+  'in',
+  'nin',
+]);
+
+
+const defaultField = Object.freeze({
+  boost: null,
+  caseInsensitive: false,
+  field: null,
+  format: null,
+  fullText: null,
+  handler: null,
+  index: 'source',
+  lengthField: null,
+  ngramField: null,
+  normalizedField: null,
+  operators: null,
+  pattern: 'auto',
+  reverseField: null,
+  timeZone: null,
+  type: null,
+  values: null,
+});
+
+
+const fullTextOperators = new Set(['and', 'or']);
+const fullTextLikes = new Set(['auto', 'query_string']);
+
+
+const settingKeys = [
+  'allow',
+  'deny',
+  'discriminator',
+  'fields',
+  'leadingWildcard',
+  'lengthMarker',
+  'limits',
+  'mapping',
+  'multiValued',
+  'nested',
+  'output',
+  'regexp',
+  'require',
+  'scripts',
+  'version',
+];
+
+
+const outputs = new Set([
+  'bool',
+  'clause',
+  'constant_score',
+  'filter',
+  'query',
+]);
+
+
 function createTargetSet(value, name) {
   if (!elv(value)) return new Set();
 
@@ -29,7 +187,7 @@ function createTargetSet(value, name) {
     const val = value[i];
 
     if (typeof val !== 'string') {
-      throw new TypeError(`Argument "settings.${name} must contain strings`);
+      throw new TypeError(`Argument "settings.${name}[${i}]" must be a string`);
     }
 
     set.add(val);
@@ -39,6 +197,581 @@ function createTargetSet(value, name) {
 }
 
 
+function createScripts(value) {
+  if (!elv(value)) return true;
+  if (typeof value === 'boolean') return value;
+  if (!Array.isArray(value)) throw new TypeError(msg.argScripts);
+
+  return createTargetSet(value, 'scripts');
+}
+
+
+function createDiscriminator(value) {
+  if (!elv(value)) return null;
+
+  if (typeof value !== 'object') {
+    throw new TypeError(msg.argSettingsDis);
+  }
+
+  if (!elv(value.target)) throw new TypeError(msg.argTarget);
+  if (!elv(value.map)) throw new TypeError(msg.argMap);
+
+  if (typeof value.target !== 'string' || value.target.length === 0) {
+    throw new TypeError(msg.argTargetStr);
+  }
+
+  if (typeof value.map !== 'object' || Array.isArray(value.map)) {
+    throw new TypeError(msg.argMapObj);
+  }
+
+  const map = new Map();
+  const keys = Object.keys(value.map);
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const type = value.map[key];
+
+    if (typeof type !== 'string' || type.length === 0) {
+      const name = `settings.discriminator.map[${JSON.stringify(key)}]`;
+      throw new TypeError(`Argument "${name}"${msg.argMappedType}`);
+    }
+
+    map.set(key, type);
+  }
+
+  return {
+    target: value.target,
+    map,
+    types: Array.from(new Set(map.values())),
+  };
+}
+
+
+function createRegexpOptions(value, dialect) {
+  const options = {
+    flags: null,
+    caseInsensitive: false,
+    maxDeterminizedStates: null,
+  };
+
+  if (!elv(value)) return options;
+
+  if (typeof value !== 'object') throw new TypeError(msg.argRegexp);
+
+  if (elv(value.flags)) {
+    const flags = (typeof value.flags === 'string')
+      ? value.flags.split('|')
+      : [];
+
+    if (flags.length === 0 || !flags.every(flag => regexpFlags.has(flag))) {
+      throw new TypeError(msg.argRegexpFlags + Array.from(regexpFlags).join(', '));
+    }
+
+    options.flags = value.flags;
+  }
+
+  if (elv(value.caseInsensitive)) {
+    if (typeof value.caseInsensitive !== 'boolean') {
+      throw new TypeError(msg.argRegexpCase);
+    }
+
+    if (value.caseInsensitive && !dialect.caseInsensitive) {
+      throw new TypeError(msg.argRegexpCaseVersion + dialect.name);
+    }
+
+    options.caseInsensitive = value.caseInsensitive;
+  }
+
+  if (elv(value.maxDeterminizedStates)) {
+    const states = value.maxDeterminizedStates;
+
+    if (!Number.isInteger(states) || states < 1) {
+      throw new TypeError(msg.argRegexpStates);
+    }
+
+    options.maxDeterminizedStates = states;
+  }
+
+  return options;
+}
+
+
+const limitKeys = [
+  'clauses',
+  'depth',
+  'patternLength',
+  'scripts',
+  'values',
+  'wildcards',
+];
+
+
+function createLimits(value) {
+  const limits = {};
+
+  limitKeys.forEach((key) => {
+    limits[key] = null;
+  });
+
+  if (!elv(value)) return limits;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(msg.argLimits);
+  }
+
+  limitKeys.forEach((key) => {
+    if (!elv(value[key])) return;
+
+    if (!Number.isInteger(value[key]) || value[key] < 1) {
+      throw new TypeError(`Argument "settings.limits.${key}"${msg.argLimit}`);
+    }
+
+    limits[key] = value[key];
+  });
+
+  return limits;
+}
+
+
+function isFieldPath(value) {
+  return typeof value === 'string' && value.split('.').indexOf('') === -1;
+}
+
+
+function isEnumValues(value) {
+  return Array.isArray(value)
+    && value.length > 0
+    && value.every(val => typeof val === 'string' || typeof val === 'number');
+}
+
+
+function fieldArg(pointer, key) {
+  const name = `settings.fields[${JSON.stringify(pointer)}]`;
+  return (typeof key === 'string')
+    ? `Argument "${name}.${key}"`
+    : `Argument "${name}"`;
+}
+
+
+function isBoost(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+
+function createBoost(pointer, value) {
+  if (!elv(value)) return null;
+  if (isBoost(value)) return value;
+
+  const keys = (typeof value === 'object') ? Object.keys(value) : [];
+
+  if (keys.length === 0
+      || !keys.every(key => operators.has(key) && isBoost(value[key]))) {
+    throw new TypeError(fieldArg(pointer, 'boost') + msg.argFieldBoost);
+  }
+
+  return Object.assign({}, value);
+}
+
+
+function createOperators(pointer, value) {
+  if (!elv(value)) return null;
+
+  if (!Array.isArray(value)
+      || value.length === 0
+      || !value.every(val => val === 'target' || operators.has(val))) {
+    const list = Array.from(operators).concat('target').join(', ');
+    throw new TypeError(fieldArg(pointer, 'operators') + msg.argFieldOperators + list);
+  }
+
+  return Array.from(new Set(value));
+}
+
+
+function createFullText(pointer, value) {
+  if (!elv(value) || value === false) return null;
+
+  if (value === true) return { analyzer: null, operator: null, like: 'auto' };
+
+  if (typeof value !== 'object') {
+    throw new TypeError(fieldArg(pointer, 'fullText') + msg.argFieldFullText);
+  }
+
+  const fullText = {
+    analyzer: (elv(value.analyzer)) ? value.analyzer : null,
+    operator: (elv(value.operator)) ? value.operator : null,
+    like: elv.coalesce(value.like, 'auto'),
+  };
+
+  if (fullText.analyzer !== null
+      && (typeof fullText.analyzer !== 'string' || fullText.analyzer.length === 0)) {
+    const arg = fieldArg(pointer, 'fullText.analyzer');
+    throw new TypeError(arg + msg.argFieldAnalyzer);
+  }
+
+  if (fullText.operator !== null && !fullTextOperators.has(fullText.operator)) {
+    const arg = fieldArg(pointer, 'fullText.operator');
+    throw new TypeError(arg + msg.argFieldOperator);
+  }
+
+  if (!fullTextLikes.has(fullText.like)) {
+    throw new TypeError(fieldArg(pointer, 'fullText.like') + msg.argFieldLike);
+  }
+
+  return fullText;
+}
+
+
+function createField(pointer, value, dialect) {
+  if (typeof value !== 'object' || value === null) {
+    throw new TypeError(fieldArg(pointer) + msg.argField);
+  }
+
+  const field = {
+    boost: createBoost(pointer, value.boost),
+    caseInsensitive: elv.coalesce(
+      value.caseInsensitive,
+      defaultField.caseInsensitive
+    ),
+    field: (elv(value.field)) ? value.field : defaultField.field,
+    format: (elv(value.format)) ? value.format : defaultField.format,
+    fullText: createFullText(pointer, value.fullText),
+    handler: (elv(value.handler)) ? value.handler : defaultField.handler,
+    index: elv.coalesce(value.index, defaultField.index),
+    lengthField: (elv(value.lengthField))
+      ? value.lengthField
+      : defaultField.lengthField,
+    ngramField: (elv(value.ngramField))
+      ? value.ngramField
+      : defaultField.ngramField,
+    normalizedField: (elv(value.normalizedField))
+      ? value.normalizedField
+      : defaultField.normalizedField,
+    operators: createOperators(pointer, value.operators),
+    pattern: elv.coalesce(value.pattern, defaultField.pattern),
+    reverseField: (elv(value.reverseField))
+      ? value.reverseField
+      : defaultField.reverseField,
+    timeZone: (elv(value.timeZone)) ? value.timeZone : defaultField.timeZone,
+    type: (elv(value.type)) ? value.type : defaultField.type,
+    values: (elv(value.values)) ? value.values : defaultField.values,
+  };
+
+  if (typeof field.caseInsensitive !== 'boolean') {
+    throw new TypeError(fieldArg(pointer, 'caseInsensitive') + msg.argFieldCase);
+  }
+
+  if (field.normalizedField !== null && !isFieldPath(field.normalizedField)) {
+    const arg = fieldArg(pointer, 'normalizedField');
+    throw new TypeError(arg + msg.argFieldNormalized);
+  }
+
+  if (field.caseInsensitive
+      && field.normalizedField === null
+      && !dialect.caseInsensitive) {
+    const arg = fieldArg(pointer, 'normalizedField');
+    throw new TypeError(arg + msg.argFieldNormalizedVersion + dialect.name);
+  }
+
+  if (field.reverseField !== null && !isFieldPath(field.reverseField)) {
+    throw new TypeError(fieldArg(pointer, 'reverseField') + msg.argFieldReverse);
+  }
+
+  if (field.ngramField !== null && !isFieldPath(field.ngramField)) {
+    throw new TypeError(fieldArg(pointer, 'ngramField') + msg.argFieldNgram);
+  }
+
+  if (field.lengthField !== null && !isFieldPath(field.lengthField)) {
+    throw new TypeError(fieldArg(pointer, 'lengthField') + msg.argFieldLength);
+  }
+
+  if (field.handler !== null && typeof field.handler !== 'function') {
+    throw new TypeError(fieldArg(pointer, 'handler') + msg.argFieldHandler);
+  }
+
+  if (field.field !== null && !isFieldPath(field.field)) {
+    throw new TypeError(fieldArg(pointer, 'field') + msg.argFieldField);
+  }
+
+  if (field.format !== null
+      && (typeof field.format !== 'string' || field.format.length === 0)) {
+    throw new TypeError(fieldArg(pointer, 'format') + msg.argFieldFormat);
+  }
+
+  if (field.timeZone !== null && !dates.isTimeZone(field.timeZone)) {
+    throw new TypeError(fieldArg(pointer, 'timeZone') + msg.argFieldTimeZone);
+  }
+
+  if (!indexes.has(field.index)) {
+    throw new TypeError(fieldArg(pointer, 'index') + msg.argFieldIndex);
+  }
+
+  if (!patterns.has(field.pattern)) {
+    const list = Array.from(patterns).join(', ');
+    throw new TypeError(fieldArg(pointer, 'pattern') + msg.argFieldPattern + list);
+  }
+
+  if (field.type !== null && coerce.types.indexOf(field.type) === -1) {
+    const list = coerce.types.join(', ');
+    throw new TypeError(fieldArg(pointer, 'type') + msg.argFieldType + list);
+  }
+
+  if (field.type === 'enum' && !isEnumValues(field.values)) {
+    throw new TypeError(fieldArg(pointer, 'values') + msg.argFieldValues);
+  }
+
+  if (field.type !== 'enum' && field.values !== null) {
+    throw new TypeError(fieldArg(pointer, 'values') + msg.argFieldValuesEnum);
+  }
+
+  return field;
+}
+
+
+function createFields(value, dialect) {
+  const fields = new Map();
+
+  if (!elv(value)) return fields;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(msg.argFields);
+  }
+
+  const keys = Object.keys(value);
+
+  for (let i = 0; i < keys.length; i++) {
+    const pointer = keys[i];
+
+    if (pointer[0] !== '/') throw new TypeError(msg.argFieldsKey);
+
+    fields.set(pointer, createField(pointer, value[pointer], dialect));
+  }
+
+  return fields;
+}
+
+
+function createNested(value, compiledMapping) {
+  const nested = new Set();
+
+  compiledMapping.forEach((entry, path) => {
+    if (entry.type === 'nested') nested.add(path);
+  });
+
+  if (!elv(value)) return nested;
+
+  if (!Array.isArray(value)) throw new TypeError(msg.argNested);
+
+  for (let i = 0; i < value.length; i++) {
+    const pointer = value[i];
+
+    const path = (typeof pointer === 'string') ? pointer.split('/') : [];
+
+    if (path.length < 2 || path[0] !== '' || path.indexOf('', 1) > -1) {
+      throw new TypeError(msg.argNested);
+    }
+
+    nested.add(path.slice(1).join('.'));
+  }
+
+  return nested;
+}
+
+
+function assertKeys(value, keys, name) {
+  if (!elv(value) || typeof value !== 'object' || Array.isArray(value)) return;
+
+  const names = Object.keys(value);
+
+  for (let i = 0; i < names.length; i++) {
+    if (keys.indexOf(names[i]) === -1) {
+      throw new TypeError(name(names[i]) + msg.argUnknown);
+    }
+  }
+}
+
+
+function assertSchema(settings) {
+  assertKeys(settings, settingKeys, key => `Argument "settings.${key}"`);
+
+  assertKeys(
+    settings.discriminator,
+    ['map', 'target'],
+    key => `Argument "settings.discriminator.${key}"`
+  );
+
+  assertKeys(
+    settings.limits,
+    limitKeys,
+    key => `Argument "settings.limits.${key}"`
+  );
+
+  assertKeys(
+    settings.regexp,
+    ['caseInsensitive', 'flags', 'maxDeterminizedStates'],
+    key => `Argument "settings.regexp.${key}"`
+  );
+
+  const { fields } = settings;
+
+  if (!elv(fields) || typeof fields !== 'object') return;
+
+  const pointers = Object.keys(fields);
+  const fieldKeys = Object.keys(defaultField);
+
+  for (let i = 0; i < pointers.length; i++) {
+    const pointer = pointers[i];
+    const field = fields[pointer];
+
+    assertKeys(field, fieldKeys, key => fieldArg(pointer, key));
+
+    if (elv(field) && typeof field === 'object') {
+      assertKeys(
+        field.fullText,
+        ['analyzer', 'like', 'operator'],
+        key => fieldArg(pointer, `fullText.${key}`)
+      );
+    }
+  }
+}
+
+
+function parse(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new TypeError(source + err.message);
+  }
+}
+
+
+function serializeField(field) {
+  const result = {};
+  const keys = Object.keys(defaultField);
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const value = field[key];
+
+    if (Array.isArray(value)) {
+      result[key] = value.slice();
+    } else if (typeof value === 'object' && value !== null) {
+      result[key] = Object.assign({}, value);
+    } else if (value !== defaultField[key]) {
+      result[key] = value;
+    }
+  }
+
+  return result;
+}
+
+
+function describe(strategy) {
+  const fields = {};
+
+  strategy.fields.forEach((field, pointer) => {
+    fields[pointer] = serializeField(field);
+  });
+
+  const implied = new Set();
+
+  strategy.mapping.forEach((entry, path) => {
+    if (entry.type === 'nested') implied.add(path);
+  });
+
+  const nested = Array.from(strategy.nested)
+    .filter(path => !implied.has(path))
+    .map(path => `/${path.split('.').join('/')}`);
+
+  const discriminator = (strategy.discriminator === null)
+    ? null
+    : { target: strategy.discriminator.target, map: {} };
+
+  if (discriminator !== null) {
+    strategy.discriminator.map.forEach((type, key) => {
+      discriminator.map[key] = type;
+    });
+  }
+
+  return {
+    allow: Array.from(strategy.allow),
+    deny: Array.from(strategy.deny),
+    discriminator,
+    fields,
+    leadingWildcard: strategy.leadingWildcard,
+    lengthMarker: strategy.lengthMarker,
+    limits: Object.assign({}, strategy.limits),
+    mapping: (strategy.mapping.size > 0) ? mapping.serialize(strategy.mapping) : null,
+    multiValued: strategy.multiValued,
+    nested,
+    output: strategy.output,
+    regexp: Object.assign({}, strategy.regexp),
+    require: strategy.require.slice(),
+    scripts: (strategy.scripts instanceof Set)
+      ? Array.from(strategy.scripts)
+      : strategy.scripts,
+    version: strategy.version,
+  };
+}
+
+
+function union(a, b) {
+  return Array.from(new Set(a.concat(b)));
+}
+
+
+function pick(value, keys) {
+  const result = {};
+  keys.forEach((key) => {
+    result[key] = value[key];
+  });
+
+  return result;
+}
+
+
+function definedKeys(value) {
+  if (!elv(value) || typeof value !== 'object') return [];
+  return Object.keys(value).filter(key => elv(value[key]));
+}
+
+
+const definitions = new WeakMap();
+
+
+function definedSettings(settings) {
+  const fields = new Map();
+
+  if (elv(settings.fields)) {
+    Object.keys(settings.fields).forEach((pointer) => {
+      fields.set(pointer, definedKeys(settings.fields[pointer]));
+    });
+  }
+
+  return {
+    fields,
+    keys: definedKeys(settings),
+    limits: definedKeys(settings.limits),
+    regexp: definedKeys(settings.regexp),
+  };
+}
+
+
+function combineSettings(a, b) {
+  const fields = new Map(a.fields);
+
+  b.fields.forEach((keys, pointer) => {
+    fields.set(pointer, union(elv.coalesce(fields.get(pointer), []), keys));
+  });
+
+  return {
+    fields,
+    keys: union(a.keys, b.keys),
+    limits: union(a.limits, b.limits),
+    regexp: union(a.regexp, b.regexp),
+  };
+}
+
+
 class Strategy {
 
   constructor(settings) {
@@ -52,11 +785,192 @@ class Strategy {
 
     this.allow = createTargetSet(settings.allow, 'allow');
     this.deny = createTargetSet(settings.deny, 'deny');
-    this.require = elv.coalesce(settings.require, () => []);
+    this.require = Array.from(createTargetSet(settings.require, 'require'));
 
     if (this.allow.size > 0 && this.deny.size > 0) {
       throw new TypeError(msg.argSettingsAllowDeny);
     }
+
+    this._allow = globs.compile(this.allow);
+    this._deny = globs.compile(this.deny);
+
+    for (let i = 0; i < this.require.length; i++) {
+      if (this.denies(this.require[i])) {
+        throw new TypeError(msg.argSettingsRequireDeny + this.require[i]);
+      }
+    }
+
+    this.scripts = createScripts(settings.scripts);
+    this._scripts = globs.compile((this.scripts instanceof Set) ? this.scripts : []);
+
+    this.discriminator = createDiscriminator(settings.discriminator);
+    this.lengthMarker = elv.coalesce(settings.lengthMarker, '$length');
+
+    if (typeof this.lengthMarker !== 'string'
+        || this.lengthMarker.length === 0
+        || this.lengthMarker.indexOf('/') > -1) {
+      throw new TypeError(msg.argLengthMarker);
+    }
+
+    this.output = elv.coalesce(settings.output, 'filter');
+
+    if (!outputs.has(this.output)) {
+      throw new TypeError(msg.argOutput + Array.from(outputs).join(', '));
+    }
+
+    this.leadingWildcard = elv.coalesce(settings.leadingWildcard, 'allow');
+
+    if (!leadingWildcards.has(this.leadingWildcard)) {
+      const list = Array.from(leadingWildcards).join(', ');
+      throw new TypeError(msg.argLeadingWildcard + list);
+    }
+
+    this.multiValued = elv.coalesce(settings.multiValued, 'any');
+
+    if (!multiValues.has(this.multiValued)) {
+      const list = Array.from(multiValues).join(', ');
+      throw new TypeError(msg.argMultiValued + list);
+    }
+
+    this.version = elv.coalesce(settings.version, 'es7');
+    this.dialect = dialects.get(this.version);
+
+    if (this.dialect === null) {
+      throw new TypeError(msg.argVersion + dialects.versions.join(', '));
+    }
+
+    this.limits = createLimits(settings.limits);
+    this.regexp = createRegexpOptions(settings.regexp, this.dialect);
+    this.fields = createFields(settings.fields, this.dialect);
+    this.mapping = mapping.compile(settings.mapping);
+    this.nested = createNested(settings.nested, this.mapping);
+    definitions.set(this, definedSettings(settings));
+  }
+
+
+  allows(pointer) {
+    return this.allow.size === 0 || globs.matches(this._allow, pointer);
+  }
+
+
+  denies(pointer) {
+    return globs.matches(this._deny, pointer);
+  }
+
+
+  allowsScript(pointer) {
+    if (typeof this.scripts === 'boolean') return this.scripts;
+    return globs.matches(this._scripts, pointer);
+  }
+
+
+  field(pointer) {
+    return elv.coalesce(this.fields.get(pointer), defaultField);
+  }
+
+
+  merge(other) {
+    const layer = (other instanceof Strategy) ? other : new Strategy(other);
+    const result = describe(this);
+    const overrides = describe(layer);
+    const defined = definitions.get(layer);
+    const { keys } = defined;
+
+    result.allow = union(result.allow, overrides.allow);
+    result.deny = union(result.deny, overrides.deny);
+    result.require = union(result.require, overrides.require);
+    result.nested = union(result.nested, overrides.nested);
+
+    [
+      'discriminator',
+      'leadingWildcard',
+      'lengthMarker',
+      'multiValued',
+      'output',
+      'version',
+    ].forEach((key) => {
+      if (keys.indexOf(key) > -1) result[key] = overrides[key];
+    });
+
+    if (keys.indexOf('scripts') > -1) {
+      const lists = Array.isArray(result.scripts)
+        && Array.isArray(overrides.scripts);
+
+      result.scripts = (lists)
+        ? union(result.scripts, overrides.scripts)
+        : overrides.scripts;
+    }
+
+    ['limits', 'regexp'].forEach((name) => {
+      defined[name].forEach((key) => {
+        result[name][key] = overrides[name][key];
+      });
+    });
+
+    layer.fields.forEach((field, pointer) => {
+      const changed = defined.fields.get(pointer);
+      const changes = pick(field, changed);
+
+      if (changed.indexOf('type') > -1
+          && changed.indexOf('values') === -1
+          && field.type !== 'enum') {
+        changes.values = null;
+      }
+
+      result.fields[pointer] = Object.assign({}, result.fields[pointer], changes);
+    });
+
+    const compiled = new Map(this.mapping);
+    layer.mapping.forEach((entry, path) => compiled.set(path, entry));
+    result.mapping = (compiled.size > 0) ? mapping.serialize(compiled) : null;
+
+    const merged = new Strategy(result);
+    definitions.set(merged, combineSettings(definitions.get(this), defined));
+
+    return merged;
+  }
+
+
+  toJSON() {
+    this.fields.forEach((field, pointer) => {
+      if (field.handler !== null) throw new TypeError(msg.handlerJson + pointer);
+    });
+
+    return describe(this);
+  }
+
+
+  static extend(base, overrides) {
+    if (!(base instanceof Strategy)) throw new TypeError(msg.argBase);
+    return base.merge(overrides);
+  }
+
+
+  static fromJSON(json) {
+    const settings = (typeof json === 'string')
+      ? parse(json, msg.argJsonParse)
+      : json;
+
+    if (!elv(settings) || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new TypeError(msg.argJson);
+    }
+
+    assertSchema(settings);
+
+    return new Strategy(settings);
+  }
+
+
+  static fromFile(file) {
+    if (typeof file !== 'string' || file.length === 0) {
+      throw new TypeError(msg.argFile);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    const source = `Strategy file ${JSON.stringify(file)}${msg.argFileParse}`;
+    const settings = parse(text, source);
+
+    return Strategy.fromJSON(settings);
   }
 
 }
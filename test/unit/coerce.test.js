@@ -0,0 +1,147 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const coerce = require('../../lib/coerce');
+
+
+describe('coerce', function() {
+
+  describe('.types', function() {
+    it('lists supported types', function() {
+      assert.deepEqual(coerce.types, [
+        'string',
+        'integer',
+        'float',
+        'boolean',
+        'date',
+        'ip',
+        'enum',
+      ]);
+    });
+  });
+
+
+  describe('.value', function() {
+    it('keeps strings for string', function() {
+      assert.strictEqual(coerce.value('string', 'a'), 'a');
+    });
+
+    it('converts numbers and Booleans to strings for string', function() {
+      assert.strictEqual(coerce.value('string', 42), '42');
+      assert.strictEqual(coerce.value('string', true), 'true');
+    });
+
+    it('keeps integers for integer', function() {
+      assert.strictEqual(coerce.value('integer', -3), -3);
+    });
+
+    it('converts integer strings for integer', function() {
+      assert.strictEqual(coerce.value('integer', '42'), 42);
+      assert.strictEqual(coerce.value('integer', '+7'), 7);
+    });
+
+    it('rejects fractions for integer', function() {
+      assert.isUndefined(coerce.value('integer', 4.2));
+      assert.isUndefined(coerce.value('integer', '4.2'));
+    });
+
+    it('rejects unsafe integers for integer', function() {
+      assert.isUndefined(coerce.value('integer', '9007199254740993'));
+    });
+
+    it('rejects non-numeric values for integer', function() {
+      assert.isUndefined(coerce.value('integer', 'abc'));
+      assert.isUndefined(coerce.value('integer', ''));
+      assert.isUndefined(coerce.value('integer', true));
+    });
+
+    it('keeps numbers for float', function() {
+      assert.strictEqual(coerce.value('float', 4.2), 4.2);
+    });
+
+    it('converts numeric strings for float', function() {
+      assert.strictEqual(coerce.value('float', '4.2'), 4.2);
+      assert.strictEqual(coerce.value('float', '-.5'), -0.5);
+      assert.strictEqual(coerce.value('float', '1e3'), 1000);
+    });
+
+    it('rejects non-numeric values for float', function() {
+      assert.isUndefined(coerce.value('float', '4.2.1'));
+      assert.isUndefined(coerce.value('float', ' '));
+      assert.isUndefined(coerce.value('float', false));
+      assert.isUndefined(coerce.value('float', Infinity));
+      assert.isUndefined(coerce.value('float', '1e999'));
+    });
+
+    it('keeps Booleans for boolean', function() {
+      assert.isFalse(coerce.value('boolean', false));
+    });
+
+    it('converts true and false strings for boolean', function() {
+      assert.isTrue(coerce.value('boolean', 'true'));
+      assert.isFalse(coerce.value('boolean', 'false'));
+    });
+
+    it('rejects other values for boolean', function() {
+      assert.isUndefined(coerce.value('boolean', 'yes'));
+      assert.isUndefined(coerce.value('boolean', 1));
+    });
+
+    it('keeps ISO 8601 strings for date', function() {
+      const result = coerce.value('date', '2020-01-02', { format: null });
+      assert.strictEqual(result, '2020-01-02');
+    });
+
+    it('keeps date math for date', function() {
+      const result = coerce.value('date', 'now-7d/d', { format: null });
+      assert.strictEqual(result, 'now-7d/d');
+    });
+
+    it('keeps epoch milliseconds for date', function() {
+      const result = coerce.value('date', 1577923200000, { format: null });
+      assert.strictEqual(result, 1577923200000);
+    });
+
+    it('rejects invalid values for date', function() {
+      assert.isUndefined(coerce.value('date', 'tomorrow', { format: null }));
+      assert.isUndefined(coerce.value('date', 1.5, { format: null }));
+    });
+
+    it('keeps strings in configured format for date', function() {
+      const result = coerce.value('date', '02/01/2020', { format: 'dd/MM/yyyy' });
+      assert.strictEqual(result, '02/01/2020');
+    });
+
+    it('keeps IPv4 and IPv6 addresses for ip', function() {
+      assert.strictEqual(coerce.value('ip', '10.0.0.1'), '10.0.0.1');
+      assert.strictEqual(coerce.value('ip', '::1'), '::1');
+    });
+
+    it('keeps CIDR blocks for ip', function() {
+      assert.strictEqual(coerce.value('ip', '10.0.0.0/8'), '10.0.0.0/8');
+      assert.strictEqual(coerce.value('ip', 'fe80::/10'), 'fe80::/10');
+    });
+
+    it('rejects invalid addresses for ip', function() {
+      assert.isUndefined(coerce.value('ip', '10.0.0.256'));
+      assert.isUndefined(coerce.value('ip', '10.0.0.0/33'));
+      assert.isUndefined(coerce.value('ip', 'fe80::/129'));
+      assert.isUndefined(coerce.value('ip', 42));
+    });
+
+    it('keeps listed values for enum', function() {
+      assert.strictEqual(coerce.value('enum', 'a', { values: ['a', 'b'] }), 'a');
+    });
+
+    it('converts to listed value of other type for enum', function() {
+      assert.strictEqual(coerce.value('enum', '2', { values: [1, 2] }), 2);
+      assert.strictEqual(coerce.value('enum', 1, { values: ['1'] }), '1');
+    });
+
+    it('rejects unlisted values for enum', function() {
+      assert.isUndefined(coerce.value('enum', 'c', { values: ['a', 'b'] }));
+    });
+  });
+
+});
@@ -5,9 +5,32 @@ const spleen = require('spleen');
 
 const convert = require('../../lib/convert');
 const errors = require('../../lib/errors');
+const painless = require('../../lib/painless');
 const Strategy = require('../../lib/strategy');
 
 
+function build(exp, strategy, options) {
+  const { value } = spleen.parse(exp);
+  return convert(value, strategy, options);
+}
+
+
+function must(exp, strategy, options) {
+  return build(exp, strategy, options).value.bool.must[0];
+}
+
+
+function thrown(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+
+  return null;
+}
+
+
 describe('#convert', function() {
   it('throws if filter not instance of Filter', function() {
     assert.throws(() => {
@@ -45,6 +68,47 @@ describe('#convert', function() {
     assert.isArray(result.fields);
   });
 
+  it('returns bool.filter when output is bool', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const strategy = new Strategy({ output: 'bool' });
+    const result = convert(value, strategy);
+    assert.isObject(result.value.bool.filter.bool);
+    assert.isArray(result.value.bool.filter.bool.must);
+  });
+
+  it('returns bare clause when output is clause', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const strategy = new Strategy({ output: 'clause' });
+    const result = convert(value, strategy);
+    assert.deepEqual(result.value, {
+      bool: { must: [{ term: { foo: 42 } }] },
+    });
+  });
+
+  it('returns constant_score.filter when output is constant_score', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const strategy = new Strategy({ output: 'constant_score' });
+    const result = convert(value, strategy);
+    assert.isObject(result.value.constant_score.filter.bool);
+    assert.isArray(result.value.constant_score.filter.bool.must);
+  });
+
+  it('returns query.bool.filter when output is query', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const strategy = new Strategy({ output: 'query' });
+    const result = convert(value, strategy);
+    assert.isObject(result.value.query.bool.filter.bool);
+    assert.isArray(result.value.query.bool.filter.bool.must);
+  });
+
+  it('returns filter when output is filter', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const strategy = new Strategy({ output: 'filter' });
+    const result = convert(value, strategy);
+    assert.deepEqual(Object.keys(result.value), ['filter']);
+    assert.isObject(result.value.filter.bool);
+  });
+
   it('omits should if no ors', function() {
     const { value } = spleen.parse('/foo eq 42 and /bar gt 0');
     const result = convert(value);
@@ -89,889 +153,308 @@ describe('#convert', function() {
   it('adds eq with two targets as script', function() {
     const { value } = spleen.parse('/foo eq /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value == doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'anyMatch(b -> a == b))');
   });
 
   it('adds neq with two targets as script', function() {
     const { value } = spleen.parse('/foo neq /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value != doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'return !(');
   });
 
   it('adds gt with two targets as script', function() {
     const { value } = spleen.parse('/foo gt /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value > doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'a > b : a.compareTo(b) > 0');
   });
 
   it('adds gte with two targets as script', function() {
     const { value } = spleen.parse('/foo gte /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value >= doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'a >= b : a.compareTo(b) >= 0');
   });
 
   it('adds lt with two targets as script', function() {
     const { value } = spleen.parse('/foo lt /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value < doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'a < b : a.compareTo(b) < 0');
   });
 
   it('adds lte with two targets as script', function() {
     const { value } = spleen.parse('/foo lte /bar');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script,
-      "doc['foo'].value <= doc['bar'].value"
-    );
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.strictEqual(script.lang, 'painless');
+    assert.deepEqual(script.params, { subject: 'foo', object: 'bar' });
+    assert.include(script.source, 'a <= b : a.compareTo(b) <= 0');
   });
 
-  it('adds eq with two string literals as script', function() {
-    const { value } = spleen.parse('"a" eq "b"');
-    const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
+  it('throws if two literals compared with unsupported operator', function() {
+    const { value } = spleen.parse('1 eq 2');
+    value.statements[0].value.operator = { type: 'foo' };
+    assert.throws(() => {
+      convert(value);
+    }, errors.ConvertError);
+  });
 
-    assert.strictEqual(
+  it('compares all values of targets if multiValued is all', function() {
+    const { value } = spleen.parse('/foo gt /bar');
+    const strategy = new Strategy({ multiValued: 'all' });
+    const result = convert(value, strategy);
+    assert.include(
       result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
+      'subjects.stream().allMatch(a -> objects.stream().allMatch(b -> '
     );
+  });
 
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
+  it('requires all values of targets to differ for neq if multiValued is all', function() {
+    const { value } = spleen.parse('/foo neq /bar');
+    const strategy = new Strategy({ multiValued: 'all' });
+    const result = convert(value, strategy);
+    assert.include(
+      result.value.filter.bool.must[0].script.script.source,
+      'return subjects.stream().allMatch(a -> objects.stream().allMatch(b -> a != b));'
     );
+  });
 
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+  it('adds script with inline source for es5', function() {
+    const { value } = spleen.parse('/foo eq /bar');
+    const strategy = new Strategy({ version: 'es5' });
+    const result = convert(value, strategy);
+    const { script } = result.value.filter.bool.must[0].script;
+    assert.isString(script.inline);
+    assert.isUndefined(script.source);
   });
 
-  it('adds eq with two number literals as script', function() {
-    const { value } = spleen.parse('42 eq 3.14');
+  it('folds eq with two string literals to match_none', function() {
+    const { value } = spleen.parse('"a" eq "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
+  });
 
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+  it('folds eq with two number literals to match_none', function() {
+    const { value } = spleen.parse('42 eq 3.14');
+    const result = convert(value);
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds eq with two Boolean literals as script', function() {
+  it('folds eq with two Boolean literals to match_none', function() {
     const { value } = spleen.parse('true eq false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds eq with string and number literals as script', function() {
+  it('folds eq with string and number literals to match_none', function() {
     const { value } = spleen.parse('"a" eq 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds eq with string and Boolean literals as script', function() {
+  it('folds eq with string and Boolean literals to match_none', function() {
     const { value } = spleen.parse('"a" eq true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds eq with number and Boolean literals as script', function() {
+  it('folds eq with number and Boolean literals to match_none', function() {
     const { value } = spleen.parse('3.14 eq false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject == params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds neq with two string literals as script', function() {
+  it('folds neq with two string literals to match_all', function() {
     const { value } = spleen.parse('"a" neq "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds neq with two number literals as script', function() {
+  it('folds neq with two number literals to match_all', function() {
     const { value } = spleen.parse('42 neq 3.14');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds neq with two Boolean literals as script', function() {
+  it('folds neq with two Boolean literals to match_all', function() {
     const { value } = spleen.parse('true neq false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds neq with string and number literals as script', function() {
+  it('folds neq with string and number literals to match_all', function() {
     const { value } = spleen.parse('"a" neq 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds neq with string and Boolean literals as script', function() {
+  it('folds neq with string and Boolean literals to match_all', function() {
     const { value } = spleen.parse('"a" neq true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds neq with number and Boolean literals as script', function() {
+  it('folds neq with number and Boolean literals to match_all', function() {
     const { value } = spleen.parse('3.14 neq false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject != params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds gt with two string literals as script', function() {
+  it('folds gt with two string literals to match_none', function() {
     const { value } = spleen.parse('"a" gt "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gt with two number literals as script', function() {
+  it('folds gt with two number literals to match_all', function() {
     const { value } = spleen.parse('42 gt 3.14');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds gt with two Boolean literals as script', function() {
+  it('folds gt with two Boolean literals to match_none', function() {
     const { value } = spleen.parse('true gt false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gt with string and number literals as script', function() {
+  it('folds gt with string and number literals to match_none', function() {
     const { value } = spleen.parse('"a" gt 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gt with string and Boolean literals as script', function() {
+  it('folds gt with string and Boolean literals to match_none', function() {
     const { value } = spleen.parse('"a" gt true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gt with number and Boolean literals as script', function() {
+  it('folds gt with number and Boolean literals to match_none', function() {
     const { value } = spleen.parse('3.14 gt false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject > params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gte with two string literals as script', function() {
+  it('folds gte with two string literals to match_none', function() {
     const { value } = spleen.parse('"a" gte "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gte with two number literals as script', function() {
+  it('folds gte with two number literals to match_all', function() {
     const { value } = spleen.parse('42 gte 3.14');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds gte with two Boolean literals as script', function() {
+  it('folds gte with two Boolean literals to match_none', function() {
     const { value } = spleen.parse('true gte false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gte with string and number literals as script', function() {
+  it('folds gte with string and number literals to match_none', function() {
     const { value } = spleen.parse('"a" gte 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gte with string and Boolean literals as script', function() {
+  it('folds gte with string and Boolean literals to match_none', function() {
     const { value } = spleen.parse('"a" gte true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds gte with number and Boolean literals as script', function() {
+  it('folds gte with number and Boolean literals to match_none', function() {
     const { value } = spleen.parse('3.14 gte false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject >= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lt with two string literals as script', function() {
+  it('folds lt with two string literals to match_all', function() {
     const { value } = spleen.parse('"a" lt "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds lt with two number literals as script', function() {
+  it('folds lt with two number literals to match_none', function() {
     const { value } = spleen.parse('42 lt 3.14');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lt with two Boolean literals as script', function() {
+  it('folds lt with two Boolean literals to match_none', function() {
     const { value } = spleen.parse('true lt false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lt with string and number literals as script', function() {
+  it('folds lt with string and number literals to match_none', function() {
     const { value } = spleen.parse('"a" lt 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lt with string and Boolean literals as script', function() {
+  it('folds lt with string and Boolean literals to match_none', function() {
     const { value } = spleen.parse('"a" lt true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lt with number and Boolean literals as script', function() {
+  it('folds lt with number and Boolean literals to match_none', function() {
     const { value } = spleen.parse('3.14 lt false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject < params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lte with two string literals as script', function() {
+  it('folds lte with two string literals to match_all', function() {
     const { value } = spleen.parse('"a" lte "b"');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      'b'
-    );
+    assert.deepEqual(result.value.filter, { match_all: {} });
   });
 
-  it('adds lte with two number literals as script', function() {
+  it('folds lte with two number literals to match_none', function() {
     const { value } = spleen.parse('42 lte 3.14');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      42
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      3.14
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lte with two Boolean literals as script', function() {
+  it('folds lte with two Boolean literals to match_none', function() {
     const { value } = spleen.parse('true lte false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      true
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lte with string and number literals as script', function() {
+  it('folds lte with string and number literals to match_none', function() {
     const { value } = spleen.parse('"a" lte 42');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      42
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lte with string and Boolean literals as script', function() {
+  it('folds lte with string and Boolean literals to match_none', function() {
     const { value } = spleen.parse('"a" lte true');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      'a'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      true
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
-  it('adds lte with number and Boolean literals as script', function() {
+  it('folds lte with number and Boolean literals to match_none', function() {
     const { value } = spleen.parse('3.14 lte false');
     const result = convert(value);
-    assert.isObject(result.value.filter.bool.must[0].script);
-    assert.isObject(result.value.filter.bool.must[0].script.script);
-    assert.isObject(result.value.filter.bool.must[0].script.script.params);
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.source,
-      'params.subject <= params.object'
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.subject,
-      3.14
-    );
-
-    assert.strictEqual(
-      result.value.filter.bool.must[0].script.script.params.object,
-      false
-    );
+    assert.deepEqual(result.value.filter, { match_none: {} });
   });
 
   it('throws if scripting with unknown operator', function() {
@@ -1001,6 +484,41 @@ describe('#convert', function() {
     }, errors.NonallowedFieldError);
   });
 
+  it('throws if filter includes target in denied subtree', function() {
+    const { value } = spleen.parse('/secrets/key eq 42');
+    const strategy = new Strategy({ deny: ['/secrets'] });
+
+    assert.throws(() => {
+      convert(value, strategy);
+    }, errors.DeniedFieldError);
+  });
+
+  it('throws if filter includes target matching deny pattern', function() {
+    const { value } = spleen.parse('/a eq 1 and /user/password eq 42');
+    const strategy = new Strategy({ deny: ['/**/password'] });
+
+    assert.throws(() => {
+      convert(value, strategy);
+    }, errors.DeniedFieldError);
+  });
+
+  it('converts targets in allowed subtrees and patterns', function() {
+    const { value } = spleen.parse('/address/city eq "a" and /meta/x eq 1');
+    const strategy = new Strategy({ allow: ['/address', '/meta/*'] });
+    const result = convert(value, strategy);
+
+    assert.deepEqual(result.fields, ['/address/city', '/meta/x']);
+  });
+
+  it('throws if filter includes target outside allow patterns', function() {
+    const { value } = spleen.parse('/meta eq 1');
+    const strategy = new Strategy({ allow: ['/meta/*'] });
+
+    assert.throws(() => {
+      convert(value, strategy);
+    }, errors.NonallowedFieldError);
+  });
+
   it('throws if filter includes target with invalid chars', function() {
     const { value } = spleen.parse('/#blah eq 42');
 
@@ -1426,16 +944,101 @@ describe('#convert', function() {
     assert.strictEqual(filter.bool.must[0].range.foo.gte, true);
   });
 
-  it('adds regex for target like string', function() {
-    const regex = '^.*Hello World.{1}$';
+  it('adds wildcard for target like string', function() {
     const parseResult = spleen.parse('/foo/bar like "*Hello World_"');
     const { value } = parseResult;
     const result = convert(value);
     const { filter } = result.value;
     assert.isArray(filter.bool.must);
     assert.lengthOf(filter.bool.must, 1);
-    assert.isObject(filter.bool.must[0].regex);
-    assert.strictEqual(filter.bool.must[0].regex['foo.bar'], regex);
+    assert.isObject(filter.bool.must[0].wildcard);
+    assert.deepEqual(filter.bool.must[0].wildcard['foo.bar'], {
+      value: '*Hello World?',
+    });
+  });
+
+  it('escapes wildcard reserved characters', function() {
+    const { value } = spleen.parse('/foo like "a?b\\\\*c_"');
+    const result = convert(value);
+    const { filter } = result.value;
+    assert.strictEqual(filter.bool.must[0].wildcard.foo.value, 'a\\?b\\*c?');
+  });
+
+  it('adds term for target like string without wildcards', function() {
+    const { value } = spleen.parse('/foo like "Hello\\\\*"');
+    const result = convert(value);
+    const { filter } = result.value;
+    assert.deepEqual(filter.bool.must[0], { term: { foo: 'Hello*' } });
+  });
+
+  it('adds prefix for target like string with trailing wildcard', function() {
+    const { value } = spleen.parse('/foo like "Hello*"');
+    const result = convert(value);
+    const { filter } = result.value;
+    assert.deepEqual(filter.bool.must[0], {
+      prefix: { foo: { value: 'Hello' } },
+    });
+  });
+
+  it('adds wildcard for like if field pattern is wildcard', function() {
+    const { value } = spleen.parse('/foo like "Hello*"');
+    const strategy = new Strategy({
+      fields: { '/foo': { pattern: 'wildcard' } },
+    });
+
+    const result = convert(value, strategy);
+    const { filter } = result.value;
+    assert.deepEqual(filter.bool.must[0], {
+      wildcard: { foo: { value: 'Hello*' } },
+    });
+  });
+
+  it('adds regexp for like if field pattern is regexp', function() {
+    const { value } = spleen.parse('/foo/bar like "*Hello World_"');
+    const strategy = new Strategy({
+      fields: { '/foo/bar': { pattern: 'regexp' } },
+    });
+
+    const result = convert(value, strategy);
+    const { filter } = result.value;
+    assert.deepEqual(filter.bool.must[0], {
+      regexp: { 'foo.bar': { value: '.*Hello World.' } },
+    });
+  });
+
+  it('escapes Lucene reserved characters in regexp', function() {
+    const { value } = spleen.parse('/foo like "a.b@c&d~e<f>g#h\\"i(j)*"');
+    const strategy = new Strategy({
+      fields: { '/foo': { pattern: 'regexp' } },
+    });
+
+    const result = convert(value, strategy);
+    const { filter } = result.value;
+    assert.strictEqual(
+      filter.bool.must[0].regexp.foo.value,
+      'a\\.b\\@c\\&d\\~e\\<f\\>g\\#h\\"i\\(j\\).*'
+    );
+  });
+
+  it('adds regexp options from strategy', function() {
+    const { value } = spleen.parse('/foo like "a*"');
+    const strategy = new Strategy({
+      fields: { '/foo': { pattern: 'regexp' } },
+      regexp: {
+        flags: 'INTERVAL|ANYSTRING',
+        caseInsensitive: true,
+        maxDeterminizedStates: 500,
+      },
+    });
+
+    const result = convert(value, strategy);
+    const { filter } = result.value;
+    assert.deepEqual(filter.bool.must[0].regexp.foo, {
+      value: 'a.*',
+      flags: 'INTERVAL|ANYSTRING',
+      case_insensitive: true,
+      max_determinized_states: 500,
+    });
   });
 
   it('throws if like object not Like', function() {
@@ -1456,8 +1059,7 @@ describe('#convert', function() {
     }, errors.ConvertError);
   });
 
-  it('adds must_not regex for target nlike string', function() {
-    const regex = '^.*Hello World.{1}$';
+  it('adds must_not wildcard for target nlike string', function() {
     const { value } = spleen.parse('/foo/bar nlike "*Hello World_"');
     const result = convert(value);
     const { filter } = result.value;
@@ -1465,10 +1067,10 @@ describe('#convert', function() {
     assert.lengthOf(filter.bool.must, 1);
     assert.isObject(filter.bool.must[0].bool);
     assert.isObject(filter.bool.must[0].bool.must_not);
-    assert.isObject(filter.bool.must[0].bool.must_not.regex);
+    assert.isObject(filter.bool.must[0].bool.must_not.wildcard);
     assert.strictEqual(
-      filter.bool.must[0].bool.must_not.regex['foo.bar'],
-      regex
+      filter.bool.must[0].bool.must_not.wildcard['foo.bar'].value,
+      '*Hello World?'
     );
   });
 
@@ -1844,6 +1446,2230 @@ describe('#convert', function() {
     }, errors.RequiredFieldError);
   });
 
+  it('returns null types if no discriminator', function() {
+    const { value } = spleen.parse('/foo eq 42');
+    const result = convert(value);
+    assert.isNull(result.types);
+  });
+
+  describe('with discriminator', function() {
+    const strategy = new Strategy({
+      discriminator: {
+        target: '/type',
+        map: {
+          a: 'typeA',
+          b: 'typeB',
+          c: 'typeC',
+          1: 'typeA',
+        },
+      },
+    });
+
+    it('returns all types if no discriminator clause', function() {
+      assert.deepEqual(build('/foo eq 42', strategy).types, ['typeA', 'typeB', 'typeC']);
+    });
+
+    it('returns mapped type for eq', function() {
+      assert.deepEqual(build('/type eq "b"', strategy).types, ['typeB']);
+    });
+
+    it('returns mapped type for eq with target on right', function() {
+      assert.deepEqual(build('"b" eq /type', strategy).types, ['typeB']);
+    });
+
+    it('returns mapped type for eq number', function() {
+      assert.deepEqual(build('/type eq 1', strategy).types, ['typeA']);
+    });
+
+    it('returns no types for eq unmapped value', function() {
+      assert.deepEqual(build('/type eq "z"', strategy).types, []);
+    });
+
+    it('returns unmapped types for neq', function() {
+      assert.deepEqual(build('/type neq "b"', strategy).types, ['typeA', 'typeC']);
+    });
+
+    it('returns mapped types for in', function() {
+      assert.deepEqual(build('/type in ["c","a"]', strategy).types, ['typeA', 'typeC']);
+    });
+
+    it('returns unmapped types for nin', function() {
+      assert.deepEqual(build('/type nin ["c","a",1]', strategy).types, ['typeB']);
+    });
+
+    it('keeps types other excluded values still map to for neq', function() {
+      assert.deepEqual(build('/type neq "a"', strategy).types, ['typeA', 'typeB', 'typeC']);
+    });
+
+    it('keeps types other excluded values still map to for nin', function() {
+      assert.deepEqual(build('/type nin ["c","a"]', strategy).types, ['typeA', 'typeB']);
+    });
+
+    it('excludes type once every value mapped to it is excluded', function() {
+      const shared = new Strategy({
+        discriminator: { target: '/kind', map: { a: 'T', b: 'T', c: 'U' } },
+      });
+
+      assert.deepEqual(build('/kind neq "a"', shared).types, ['T', 'U']);
+      assert.deepEqual(build('/kind nin ["a","b"]', shared).types, ['U']);
+    });
+
+    it('returns all types for other operators', function() {
+      assert.deepEqual(build('/type like "a*"', strategy).types, ['typeA', 'typeB', 'typeC']);
+    });
+
+    it('ignores discriminator compared to target', function() {
+      assert.deepEqual(build('/type eq /foo', strategy).types, ['typeA', 'typeB', 'typeC']);
+    });
+
+    it('intersects anded clauses', function() {
+      const exp = '/type in ["a","b"] and /foo eq 1 and /type neq "a"';
+      assert.deepEqual(build(exp, strategy).types, ['typeB']);
+    });
+
+    it('unions ored clauses', function() {
+      assert.deepEqual(build('/type eq "a" or /type eq "c"', strategy).types, ['typeA', 'typeC']);
+    });
+
+    it('returns all types if an or group is unconstrained', function() {
+      assert.deepEqual(build('/type eq "a" or /foo eq 1', strategy).types, ['typeA', 'typeB', 'typeC']);
+    });
+
+    it('resolves types in sub filters', function() {
+      const exp = '/foo eq 1 and (/type eq "a" or /type eq "b") and /type neq "b"';
+      assert.deepEqual(build(exp, strategy).types, ['typeA']);
+    });
+  });
+
+  describe('with mapping', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      mapping: {
+        myindex: {
+          mappings: {
+            properties: {
+              title: {
+                type: 'text',
+                fields: { keyword: { type: 'keyword' } },
+              },
+              body: { type: 'text' },
+              created: { type: 'date', format: 'yyyy-MM-dd' },
+              updated: { type: 'date' },
+              age: { type: 'integer' },
+              active: { type: 'boolean' },
+              address: { type: 'ip' },
+              meta: { properties: { tag: { type: 'keyword' } } },
+            },
+          },
+        },
+      },
+    });
+
+    it('adds term on keyword sub-field for text eq', function() {
+      assert.deepEqual(must('/title eq "a"', strategy), {
+        term: { 'title.keyword': 'a' },
+      });
+    });
+
+    it('adds terms on keyword sub-field for text in', function() {
+      assert.deepEqual(must('/title in ["a","b"]', strategy), {
+        terms: { 'title.keyword': ['a', 'b'] },
+      });
+    });
+
+    it('adds prefix on keyword sub-field for text like', function() {
+      assert.deepEqual(must('/title like "a*"', strategy), {
+        prefix: { 'title.keyword': { value: 'a' } },
+      });
+    });
+
+    it('adds range on keyword sub-field for text gt', function() {
+      assert.deepEqual(must('/title gt "a"', strategy), {
+        range: { 'title.keyword': { gt: 'a' } },
+      });
+    });
+
+    it('adds exists on text field for eq nil', function() {
+      assert.deepEqual(must('/title eq nil', strategy), {
+        bool: { must_not: { exists: { field: 'title' } } },
+      });
+    });
+
+    it('adds match_phrase for analyzed text eq', function() {
+      assert.deepEqual(must('/body eq "hello world"', strategy), {
+        match_phrase: { body: 'hello world' },
+      });
+    });
+
+    it('adds must_not match_phrase for analyzed text neq', function() {
+      assert.deepEqual(must('/body neq "hello world"', strategy), {
+        bool: { must_not: { match_phrase: { body: 'hello world' } } },
+      });
+    });
+
+    it('adds should match_phrase for analyzed text in', function() {
+      assert.deepEqual(must('/body in ["a","b"]', strategy), {
+        bool: {
+          should: [
+            { match_phrase: { body: 'a' } },
+            { match_phrase: { body: 'b' } },
+          ],
+          minimum_should_match: 1,
+        },
+      });
+    });
+
+    it('throws for analyzed text like', function() {
+      assert.throws(() => {
+        must('/body like "a*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for analyzed text range', function() {
+      assert.throws(() => {
+        must('/body between "a","c"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('adds range with format for date eq', function() {
+      assert.deepEqual(must('/created eq "2018-01-01"', strategy), {
+        range: {
+          created: { gte: '2018-01-01', lte: '2018-01-01', format: 'yyyy-MM-dd' },
+        },
+      });
+    });
+
+    it('adds range with format for date gt', function() {
+      assert.deepEqual(must('"2018-01-01" lt /created', strategy), {
+        range: { created: { gt: '2018-01-01', format: 'yyyy-MM-dd' } },
+      });
+    });
+
+    it('adds range with format for date between', function() {
+      assert.deepEqual(must('/created between "2018-01-01","2018-02-01"', strategy), {
+        range: {
+          created: { gte: '2018-01-01', lte: '2018-02-01', format: 'yyyy-MM-dd' },
+        },
+      });
+    });
+
+    it('adds range without format for date without format', function() {
+      assert.deepEqual(must('/updated eq "2018-01-01"', strategy), {
+        range: { updated: { gte: '2018-01-01', lte: '2018-01-01' } },
+      });
+    });
+
+    it('throws for date like', function() {
+      assert.throws(() => {
+        must('/created like "2018*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for numeric like', function() {
+      assert.throws(() => {
+        must('/age nlike "4*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for boolean range', function() {
+      assert.throws(() => {
+        must('/active gt false', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('adds term with CIDR for ip eq', function() {
+      assert.deepEqual(must('/address eq "10.0.0.0/8"', strategy), {
+        term: { address: '10.0.0.0/8' },
+      });
+    });
+
+    it('throws for ip like', function() {
+      assert.throws(() => {
+        must('/address like "10.*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for object eq', function() {
+      assert.throws(() => {
+        must('/meta eq "a"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('adds exists for object neq nil', function() {
+      assert.deepEqual(must('/meta neq nil', strategy), {
+        exists: { field: 'meta' },
+      });
+    });
+
+    it('uses keyword sub-field in scripts', function() {
+      assert.deepEqual(must('/title eq /meta/tag', strategy).script.script.params, {
+        subject: 'title.keyword',
+        object: 'meta.tag',
+      });
+    });
+
+    it('compares numeric fields in scripts with operators', function() {
+      assert.include(must('/age gt /age', strategy).script.script.source, '(b -> a > b)');
+    });
+
+    it('compares keyword and date fields in scripts with compareTo', function() {
+      assert.include(
+        must('/title gt /meta/tag', strategy).script.script.source,
+        '(b -> a.compareTo(b) > 0)'
+      );
+
+      assert.include(
+        must('/created lt /updated', strategy).script.script.source,
+        '(b -> a.compareTo(b) < 0)'
+      );
+    });
+
+    it('throws for comparisons of numeric and non-numeric fields', function() {
+      assert.throws(() => {
+        must('/age gt /meta/tag', strategy);
+      }, errors.IncompatibleOperatorError, '/meta/tag (gt on keyword)');
+
+      assert.throws(() => {
+        must('/created lte /age', strategy);
+      }, errors.IncompatibleOperatorError, '/age (lte on integer)');
+    });
+
+    it('throws for eq and neq of numeric and keyword fields', function() {
+      assert.throws(() => {
+        must('/age eq /meta/tag', strategy);
+      }, errors.IncompatibleOperatorError, '/meta/tag (eq on keyword)');
+
+      assert.throws(() => {
+        must('/title neq /age', strategy);
+      }, errors.IncompatibleOperatorError, '/age (neq on integer)');
+    });
+
+    it('throws for comparisons of keyword and date fields', function() {
+      assert.throws(() => {
+        must('/meta/tag lt /created', strategy);
+      }, errors.IncompatibleOperatorError, '/created (lt on date)');
+    });
+
+    it('throws for comparisons of boolean and other fields', function() {
+      assert.throws(() => {
+        must('/active eq /meta/tag', strategy);
+      }, errors.IncompatibleOperatorError, '/meta/tag (eq on keyword)');
+    });
+
+    it('compares mapped and unmapped fields in scripts by value', function() {
+      assert.include(
+        must('/age lt /other', strategy).script.script.source,
+        '(b -> (a instanceof Number) ? a < b : a.compareTo(b) < 0)'
+      );
+    });
+
+    it('throws for analyzed text in scripts', function() {
+      assert.throws(() => {
+        must('/meta/tag eq /body', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('adds term for unmapped fields', function() {
+      assert.deepEqual(must('/foo eq "a"', strategy), { term: { foo: 'a' } });
+    });
+  });
+
+  describe('with nested', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      nested: ['/orders', '/orders/items', '/tags'],
+    });
+
+    it('wraps clause on nested field in nested', function() {
+      assert.deepEqual(build('/name eq "a" and /tags/name eq "b"', strategy).value, {
+        bool: {
+          must: [
+            { term: { name: 'a' } },
+            {
+              nested: {
+                path: 'tags',
+                query: { term: { 'tags.name': 'b' } },
+              },
+            },
+          ],
+        },
+      });
+    });
+
+    it('groups anded clauses on same nested path', function() {
+      const exp = '/tags/name eq "a" and /name eq "b" and /tags/count gt 2';
+      assert.deepEqual(build(exp, strategy).value, {
+        bool: {
+          must: [
+            {
+              nested: {
+                path: 'tags',
+                query: {
+                  bool: {
+                    must: [
+                      { term: { 'tags.name': 'a' } },
+                      { range: { 'tags.count': { gt: 2 } } },
+                    ],
+                  },
+                },
+              },
+            },
+            { term: { name: 'b' } },
+          ],
+        },
+      });
+    });
+
+    it('negates outside nested so documents without nested objects match', function() {
+      assert.deepEqual(build('/tags/name neq "b"', strategy).value, {
+        bool: {
+          must: [{
+            bool: {
+              must_not: {
+                nested: { path: 'tags', query: { term: { 'tags.name': 'b' } } },
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    it('negates exists outside nested for nil comparisons', function() {
+      const expected = {
+        bool: {
+          must: [{
+            bool: {
+              must_not: {
+                nested: { path: 'tags', query: { exists: { field: 'tags.name' } } },
+              },
+            },
+          }],
+        },
+      };
+
+      assert.deepEqual(build('/tags/name eq nil', strategy).value, expected);
+      assert.deepEqual(build('/tags/name lt nil', strategy).value, expected);
+    });
+
+    it('negates nin, nlike, and nbetween outside nested', function() {
+      const expected = query => ({
+        bool: {
+          must: [{
+            bool: { must_not: { nested: { path: 'tags', query } } },
+          }],
+        },
+      });
+
+      assert.deepEqual(
+        build('/tags/name nin ["a", "b"]', strategy).value,
+        expected({ terms: { 'tags.name': ['a', 'b'] } })
+      );
+
+      assert.deepEqual(
+        build('/tags/name nlike "a*"', strategy).value,
+        expected({ prefix: { 'tags.name': { value: 'a' } } })
+      );
+
+      assert.deepEqual(
+        build('/tags/count nbetween 1, 5', strategy).value,
+        expected({ range: { 'tags.count': { gte: 1, lte: 5 } } })
+      );
+    });
+
+    it('negates outside every level of nested paths', function() {
+      assert.deepEqual(build('/orders/items/sku neq "a"', strategy).value, {
+        bool: {
+          must: [{
+            bool: {
+              must_not: {
+                nested: {
+                  path: 'orders',
+                  query: {
+                    nested: {
+                      path: 'orders.items',
+                      query: { term: { 'orders.items.sku': 'a' } },
+                    },
+                  },
+                },
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    it('keeps negated clause apart from nested group', function() {
+      assert.deepEqual(build('/tags/name eq "a" and /tags/count neq 2', strategy).value, {
+        bool: {
+          must: [
+            { nested: { path: 'tags', query: { term: { 'tags.name': 'a' } } } },
+            {
+              bool: {
+                must_not: {
+                  nested: { path: 'tags', query: { term: { 'tags.count': 2 } } },
+                },
+              },
+            },
+          ],
+        },
+      });
+    });
+
+    it('wraps ored clauses on same nested path in single nested', function() {
+      assert.deepEqual(build('/tags/name eq "a" or /tags/count gt 2', strategy).value, {
+        nested: {
+          path: 'tags',
+          query: {
+            bool: {
+              should: [
+                { bool: { must: [{ term: { 'tags.name': 'a' } }] } },
+                { bool: { must: [{ range: { 'tags.count': { gt: 2 } } }] } },
+              ],
+            },
+          },
+        },
+      });
+    });
+
+    it('wraps ored clauses on different paths separately', function() {
+      assert.deepEqual(build('/tags/name eq "a" or /name eq "b"', strategy).value, {
+        bool: {
+          should: [
+            {
+              bool: {
+                must: [{
+                  nested: {
+                    path: 'tags',
+                    query: { term: { 'tags.name': 'a' } },
+                  },
+                }],
+              },
+            },
+            { bool: { must: [{ term: { name: 'b' } }] } },
+          ],
+        },
+      });
+    });
+
+    it('groups sub filters on same nested path', function() {
+      const exp = '/tags/count gt 1 and (/tags/name eq "a" or /tags/name eq "b")';
+      assert.deepEqual(build(exp, strategy).value, {
+        nested: {
+          path: 'tags',
+          query: {
+            bool: {
+              must: [
+                { range: { 'tags.count': { gt: 1 } } },
+                {
+                  bool: {
+                    should: [
+                      { bool: { must: [{ term: { 'tags.name': 'a' } }] } },
+                      { bool: { must: [{ term: { 'tags.name': 'b' } }] } },
+                    ],
+                  },
+                },
+              ],
+            },
+          },
+        },
+      });
+    });
+
+    it('nests inner nested paths in outer nested paths', function() {
+      const exp = '/orders/id eq 1 and /orders/items/sku eq "a"';
+      assert.deepEqual(build(exp, strategy).value, {
+        bool: {
+          must: [{
+            nested: {
+              path: 'orders',
+              query: {
+                bool: {
+                  must: [
+                    { term: { 'orders.id': 1 } },
+                    {
+                      nested: {
+                        path: 'orders.items',
+                        query: { term: { 'orders.items.sku': 'a' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          }],
+        },
+      });
+    });
+
+    it('wraps scripts on same nested path in nested', function() {
+      const result = build('/tags/min lt /tags/max', strategy).value;
+      assert.strictEqual(result.nested.path, 'tags');
+      assert.isObject(result.nested.query.bool.must[0].script);
+    });
+
+    it('does not wrap scripts on different nested paths', function() {
+      const result = build('/tags/min lt /orders/max', strategy).value;
+      assert.isObject(result.bool.must[0].script);
+    });
+
+    it('uses nested fields from mapping', function() {
+      const { value } = spleen.parse('/items/sku eq "a"');
+      const result = convert(value, new Strategy({
+        output: 'clause',
+        mapping: {
+          properties: {
+            items: {
+              type: 'nested',
+              properties: { sku: { type: 'keyword' } },
+            },
+          },
+        },
+      }));
+
+      assert.deepEqual(result.value, {
+        nested: {
+          path: 'items',
+          query: { bool: { must: [{ term: { 'items.sku': 'a' } }] } },
+        },
+      });
+    });
+  });
+
+  describe('with field aliases', function() {
+    const strategy = new Strategy({
+      allow: ['/customer/name', '/customer', '/age'],
+      fields: {
+        '/customer/name': { field: 'cust_nm.raw' },
+        '/customer': { field: 'cust' },
+        '/age': { field: 'cust_age' },
+      },
+      mapping: {
+        properties: { cust_age: { type: 'integer' } },
+      },
+    });
+
+    it('uses aliased field path', function() {
+      const result = build('/customer/name eq "a"', strategy);
+      assert.deepEqual(result.value.filter.bool.must[0], {
+        term: { 'cust_nm.raw': 'a' },
+      });
+    });
+
+    it('reports public pointer in fields', function() {
+      const result = build('/customer/name eq "a"', strategy);
+      assert.deepEqual(result.fields, ['/customer/name']);
+    });
+
+    it('uses aliased field path in scripts', function() {
+      const result = build('/customer/name eq /customer', strategy);
+      assert.deepEqual(result.value.filter.bool.must[0].script.script.params, {
+        subject: 'cust_nm.raw',
+        object: 'cust',
+      });
+    });
+
+    it('looks up aliased field path in mapping', function() {
+      assert.throws(() => {
+        build('/age like "4*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('checks allow list against public pointer', function() {
+      assert.throws(() => {
+        build('/cust_age eq 42', strategy);
+      }, errors.NonallowedFieldError);
+    });
+  });
+
+  describe('with virtual fields', function() {
+    const overdue = { range: { dueDate: { lt: 'now' } } };
+
+    function handler(clause) {
+      return (clause.object === true) ? overdue : { bool: { must_not: overdue } };
+    }
+
+    const strategy = new Strategy({
+      output: 'clause',
+      deny: ['/secret'],
+      require: ['/isOverdue'],
+      fields: {
+        '/isOverdue': { handler },
+        '/secret': { handler },
+        '/bork': { handler: () => 42 },
+      },
+    });
+
+    it('adds DSL returned by handler', function() {
+      const result = build('/isOverdue eq true and /foo eq 1', strategy);
+      assert.deepEqual(result.value.bool.must, [
+        overdue,
+        { term: { foo: 1 } },
+      ]);
+    });
+
+    it('passes normalized clause to handler', function() {
+      let received = null;
+      const { value } = spleen.parse('3 lt /count');
+      convert(value, new Strategy({
+        fields: {
+          '/count': {
+            handler: (clause) => {
+              received = clause;
+              return overdue;
+            },
+          },
+        },
+      }));
+
+      assert.strictEqual(received.subject.field, '/count');
+      assert.strictEqual(received.operator.type, 'gt');
+      assert.strictEqual(received.object, 3);
+    });
+
+    it('reports virtual field in fields', function() {
+      const result = build('/isOverdue eq false', strategy);
+      assert.deepEqual(result.fields, ['/isOverdue']);
+    });
+
+    it('satisfies required virtual field', function() {
+      assert.throws(() => {
+        build('/foo eq 1', strategy);
+      }, errors.RequiredFieldError);
+    });
+
+    it('throws if virtual field denied', function() {
+      assert.throws(() => {
+        build('/isOverdue eq true and /secret eq true', strategy);
+      }, errors.DeniedFieldError);
+    });
+
+    it('throws if handler does not return object', function() {
+      assert.throws(() => {
+        build('/isOverdue eq true and /bork eq true', strategy);
+      }, errors.ConvertError);
+    });
+
+    it('throws if virtual field compared to target', function() {
+      assert.throws(() => {
+        build('/isOverdue eq /foo', strategy);
+      }, errors.ConvertError);
+    });
+  });
+
+  describe('with array indexes', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/scores': { index: 'doc' },
+        '/secret': { index: false },
+        '/labels': { field: 'lbl' },
+      },
+    });
+
+    it('adds source script for indexed target', function() {
+      const result = must('/tags/1 eq "a"', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.sourceValue} return value == params.value;`
+      );
+
+      assert.deepEqual(result.params, { value: 'a', path: ['tags', 1] });
+    });
+
+    it('adds source script for target with segments after index', function() {
+      const result = must('/items/0/name eq "a"', strategy).script.script;
+      assert.deepEqual(result.params.path, ['items', 0, 'name']);
+    });
+
+    it('uses aliased field path in source script', function() {
+      const result = must('/labels/0 eq "a"', strategy).script.script;
+      assert.deepEqual(result.params.path, ['lbl', 0]);
+    });
+
+    it('adds doc script for indexed target if field index is doc', function() {
+      const result = must('/scores/2 gt 5', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.docValue} return value != null && value > params.value;`
+      );
+
+      assert.deepEqual(result.params, { value: 5, field: 'scores', index: 2 });
+    });
+
+    it('reads keyword sub-field in doc script', function() {
+      const mapped = new Strategy({
+        output: 'clause',
+        fields: { '/title': { index: 'doc' } },
+        mapping: {
+          properties: {
+            title: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+          },
+        },
+      });
+
+      assert.deepEqual(must('/title/0 eq "a"', mapped).script.script.params, {
+        value: 'a',
+        field: 'title.keyword',
+        index: 0,
+      });
+    });
+
+    it('throws for analyzed text in doc script', function() {
+      const mapped = new Strategy({
+        fields: { '/body': { index: 'doc' } },
+        mapping: { properties: { body: { type: 'text' } } },
+      });
+
+      assert.throws(() => {
+        build('/body/0 eq "a"', mapped);
+      }, errors.IncompatibleOperatorError, '/body (eq on text)');
+    });
+
+    it('compares string items with compareTo in source script', function() {
+      const result = must('/tags/0 gt "m"', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.sourceValue} return value != null && value.compareTo(params.value) > 0;`
+      );
+    });
+
+    it('compares string items between range with compareTo', function() {
+      const result = must('/tags/0 between "a","m"', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.sourceValue} return value != null `
+          + '&& value.compareTo(params.lower) >= 0 && value.compareTo(params.upper) <= 0;'
+      );
+    });
+
+    it('compares mapped keyword items with compareTo in doc script', function() {
+      const mapped = new Strategy({
+        output: 'clause',
+        fields: { '/codes': { index: 'doc' } },
+        mapping: { properties: { codes: { type: 'keyword' } } },
+      });
+
+      const result = must('/codes/0 lt 5', mapped).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.docValue} return value != null && value.compareTo(params.value) < 0;`
+      );
+    });
+
+    it('compares mapped numeric items as numbers', function() {
+      const mapped = new Strategy({
+        output: 'clause',
+        mapping: { properties: { scores: { type: 'long' } } },
+      });
+
+      const result = must('/scores/0 between 1,5', mapped).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.sourceValue} return value != null `
+          + '&& value >= params.lower && value <= params.upper;'
+      );
+    });
+
+    it('throws for date items in doc script', function() {
+      const mapped = new Strategy({
+        fields: { '/d': { index: 'doc' } },
+        mapping: { properties: { d: { type: 'date' } } },
+      });
+
+      assert.throws(() => {
+        build('/d/0 eq "2020-01-01"', mapped);
+      }, errors.IncompatibleOperatorError, '/d (eq on date)');
+    });
+
+    it('throws for date items in source script', function() {
+      const typed = new Strategy({ fields: { '/d': { type: 'date' } } });
+
+      assert.throws(() => {
+        build('/d/0 gt "2020-01-01"', typed);
+      }, errors.IncompatibleOperatorError, '/d (gt on date)');
+    });
+
+    it('compares date items to nil', function() {
+      const mapped = new Strategy({
+        output: 'clause',
+        fields: { '/d': { index: 'doc' } },
+        mapping: { properties: { d: { type: 'date' } } },
+      });
+
+      assert.strictEqual(
+        must('/d/0 eq nil', mapped).script.script.source,
+        `${painless.docValue} return value == null;`
+      );
+    });
+
+    it('compares in values with == in doc script', function() {
+      const result = must('/scores/0 in [1, 2]', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.docValue} return params.value.stream().anyMatch(v -> v == value);`
+      );
+
+      assert.deepEqual(result.params, { value: [1, 2], field: 'scores', index: 0 });
+    });
+
+    it('reports array field in fields', function() {
+      assert.deepEqual(build('/tags/1 eq "a"', strategy).fields, ['/tags']);
+    });
+
+    it('normalizes clause before comparing', function() {
+      const result = must('5 lt /tags/0', strategy).script.script;
+      assert.strictEqual(
+        result.source,
+        `${painless.sourceValue} return value != null && value > params.value;`
+      );
+    });
+
+    it('adds script for indexed target in list', function() {
+      const result = must('/tags/0 in ["a","b"]', strategy).script.script;
+      assert.deepEqual(result.params.value, ['a', 'b']);
+    });
+
+    it('adds script for indexed target between range', function() {
+      const result = must('/tags/0 between 1,2', strategy).script.script;
+      assert.strictEqual(result.params.lower, 1);
+      assert.strictEqual(result.params.upper, 2);
+    });
+
+    it('throws if in object not array', function() {
+      const { value } = spleen.parse('/tags/0 in [1,2]');
+      value.statements[0].value.object = 42;
+
+      assert.throws(() => {
+        convert(value, strategy);
+      }, errors.ConvertError);
+    });
+
+    it('throws if between object not Range', function() {
+      const { value } = spleen.parse('/tags/0 between 1,2');
+      value.statements[0].value.object = 42;
+
+      assert.throws(() => {
+        convert(value, strategy);
+      }, errors.ConvertError);
+    });
+
+    it('throws if sub-path under index is denied', function() {
+      const strat = new Strategy({ deny: ['/user/ssn'] });
+
+      assert.throws(() => {
+        build('/user/0/ssn eq "123"', strat);
+      }, errors.DeniedFieldError, '/user/ssn');
+
+      assert.doesNotThrow(() => {
+        build('/user/0/name eq "a"', strat);
+      });
+    });
+
+    it('throws if sub-path under index is not allowed', function() {
+      const strat = new Strategy({ allow: ['/user/name'] });
+
+      assert.throws(() => {
+        build('/user/0/ssn eq "123"', strat);
+      }, errors.NonallowedFieldError);
+    });
+
+    it('checks operators of sub-path under index', function() {
+      const strat = new Strategy({
+        fields: { '/user/ssn': { operators: ['eq'] } },
+      });
+
+      assert.doesNotThrow(() => {
+        build('/user/0/ssn eq "123"', strat);
+      });
+
+      assert.throws(() => {
+        build('/user/0/ssn gt "123"', strat);
+      }, errors.DeniedOperatorError, '/user/ssn');
+    });
+
+    it('checks scripts setting of sub-path under index', function() {
+      const strat = new Strategy({ scripts: ['/user/name'] });
+
+      assert.throws(() => {
+        build('/user/0/ssn eq "123"', strat);
+      }, errors.ForbiddenScriptError);
+    });
+
+    it('coerces literals with type of sub-path under index', function() {
+      const strat = new Strategy({
+        output: 'clause',
+        fields: { '/user/age': { type: 'integer' } },
+      });
+
+      const result = must('/user/0/age gt "30"', strat).script.script;
+      assert.strictEqual(result.params.value, 30);
+      assert.include(result.source, 'value > params.value');
+    });
+
+    it('reports array field and sub-path under index in fields', function() {
+      assert.deepEqual(build('/user/0/ssn eq "a"', strategy).fields, ['/user', '/user/ssn']);
+    });
+
+    it('throws if field index is false', function() {
+      assert.throws(() => {
+        build('/secret/0 eq "a"', strategy);
+      }, errors.UnsupportedIndexError);
+    });
+
+    it('throws if field index is doc and segments follow index', function() {
+      assert.throws(() => {
+        build('/scores/0/value eq 1', strategy);
+      }, errors.InvalidTargetError);
+    });
+
+    it('throws for like on indexed target', function() {
+      assert.throws(() => {
+        build('/tags/0 like "a*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws if indexed subject compared to target', function() {
+      assert.throws(() => {
+        build('/tags/0 eq /foo', strategy);
+      }, errors.ConvertError);
+    });
+
+    it('throws if indexed object compared to target', function() {
+      assert.throws(() => {
+        build('/foo eq /tags/0', strategy);
+      }, errors.ConvertError);
+    });
+  });
+
+  describe('with field types', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/age': { type: 'integer' },
+        '/active': { type: 'boolean' },
+        '/name': { type: 'string' },
+        '/size': { type: 'enum', values: ['s', 'm', 'l'] },
+        '/tags': { type: 'integer' },
+        '/score': { type: 'float', handler: clause => ({ match: clause.object }) },
+      },
+    });
+
+    it('coerces literal for eq', function() {
+      assert.deepEqual(must('/age eq "42"', strategy), { term: { age: 42 } });
+    });
+
+    it('coerces literal compared to target as object', function() {
+      assert.deepEqual(must('"42" lt /age', strategy), { range: { age: { gt: 42 } } });
+    });
+
+    it('coerces Boolean strings', function() {
+      assert.deepEqual(must('/active eq "true"', strategy), { term: { active: true } });
+    });
+
+    it('coerces numbers to strings', function() {
+      assert.deepEqual(must('/name neq 42', strategy), {
+        bool: { must_not: { term: { name: '42' } } },
+      });
+    });
+
+    it('coerces each value for in', function() {
+      assert.deepEqual(must('/age in ["1",2]', strategy), { terms: { age: [1, 2] } });
+    });
+
+    it('coerces range bounds for between', function() {
+      assert.deepEqual(must('/age between "1","10"', strategy), {
+        range: { age: { gte: 1, lte: 10 } },
+      });
+    });
+
+    it('coerces literal for indexed target', function() {
+      const { script } = must('/tags/0 eq "3"', strategy).script;
+      assert.strictEqual(script.params.value, 3);
+    });
+
+    it('coerces literal for length target', function() {
+      const { script } = must('/name/$length gt "3"', strategy).script;
+      assert.strictEqual(script.params.value, 3);
+    });
+
+    it('coerces literal passed to virtual field handler', function() {
+      assert.deepEqual(must('/score eq "1.5"', strategy), { match: 1.5 });
+    });
+
+    it('does not coerce nil', function() {
+      assert.deepEqual(must('/age eq nil', strategy), {
+        bool: { must_not: { exists: { field: 'age' } } },
+      });
+    });
+
+    it('does not coerce like patterns', function() {
+      assert.deepEqual(must('/name like "a*"', strategy), {
+        prefix: { name: { value: 'a' } },
+      });
+    });
+
+    it('does not coerce untyped fields', function() {
+      assert.deepEqual(must('/other eq "42"', strategy), { term: { other: '42' } });
+    });
+
+    it('accepts listed enum values', function() {
+      assert.deepEqual(must('/size eq "m"', strategy), { term: { size: 'm' } });
+    });
+
+    it('throws InvalidValueError for value not coercible', function() {
+      try {
+        must('/age eq "abc"', strategy);
+        assert.fail();
+      } catch (err) {
+        assert.instanceOf(err, errors.InvalidValueError);
+        assert.deepEqual(err.data, {
+          field: '/age',
+          value: 'abc',
+          type: 'integer',
+        });
+      }
+    });
+
+    it('throws InvalidValueError for unlisted enum value', function() {
+      assert.throws(() => {
+        must('/size in ["m","xl"]', strategy);
+      }, errors.InvalidValueError);
+    });
+
+    it('throws InvalidValueError for range bound not coercible', function() {
+      assert.throws(() => {
+        must('/age nbetween 1,"x"', strategy);
+      }, errors.InvalidValueError);
+    });
+
+    it('throws for range on boolean field', function() {
+      assert.throws(() => {
+        must('/active between "false","true"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for like on field typed as number', function() {
+      assert.throws(() => {
+        must('/age like "4*"', strategy);
+      }, errors.IncompatibleOperatorError, '/age (like on integer)');
+
+      assert.throws(() => {
+        must('/age nlike "4*"', strategy);
+      }, errors.IncompatibleOperatorError, '/age (nlike on integer)');
+    });
+
+    it('throws for range on field typed as boolean', function() {
+      assert.throws(() => {
+        must('/active gt false', strategy);
+      }, errors.IncompatibleOperatorError, '/active (gt on boolean)');
+    });
+
+    it('throws for like on field typed as ip', function() {
+      const strat = new Strategy({ fields: { '/host': { type: 'ip' } } });
+
+      assert.throws(() => {
+        must('/host like "10.*"', strat);
+      }, errors.IncompatibleOperatorError, '/host (like on ip)');
+    });
+
+    it('allows like on fields typed as strings', function() {
+      assert.deepEqual(must('/name like "a*"', strategy), {
+        prefix: { name: { value: 'a' } },
+      });
+    });
+  });
+
+  describe('with dates', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/createdAt': { type: 'date', timeZone: 'Europe/Paris' },
+        '/updatedAt': { type: 'date', format: 'dd/MM/yyyy' },
+        '/birthday': { timeZone: '+01:00' },
+      },
+      mapping: {
+        properties: {
+          birthday: { type: 'date', format: 'yyyy-MM-dd' },
+          issued: { type: 'date' },
+        },
+      },
+    });
+
+    it('compares mapped and typed date fields in scripts with compareTo', function() {
+      assert.include(
+        must('/createdAt gt /birthday', strategy).script.script.source,
+        '(b -> a.compareTo(b) > 0)'
+      );
+    });
+
+    it('throws for like on fields typed as dates', function() {
+      assert.throws(() => {
+        must('/createdAt like "2020*"', strategy);
+      }, errors.IncompatibleOperatorError, '/createdAt (like on date)');
+
+      assert.throws(() => {
+        must('/updatedAt nlike "2020*"', strategy);
+      }, errors.IncompatibleOperatorError, '/updatedAt (nlike on date)');
+    });
+
+    it('throws for like on fields mapped as dates', function() {
+      assert.throws(() => {
+        must('/issued like "2020*"', strategy);
+      }, errors.IncompatibleOperatorError, '/issued (like on date)');
+    });
+
+    it('validates literals of fields mapped as dates', function() {
+      assert.throws(() => {
+        must('/issued gt "yesterday"', strategy);
+      }, errors.InvalidValueError);
+
+      assert.deepEqual(must('/issued gt "now-1d"', strategy), {
+        range: { issued: { gt: 'now-1d' } },
+      });
+    });
+
+    it('validates literals with the format from the mapping', function() {
+      assert.deepEqual(must('/birthday gt "2020/12/31"', strategy), {
+        range: {
+          birthday: { gt: '2020/12/31', format: 'yyyy-MM-dd', time_zone: '+01:00' },
+        },
+      });
+    });
+
+    it('adds range with date math and time zone', function() {
+      assert.deepEqual(must('/createdAt gt "now-7d/d"', strategy), {
+        range: { createdAt: { gt: 'now-7d/d', time_zone: 'Europe/Paris' } },
+      });
+    });
+
+    it('adds range for eq on date type field', function() {
+      assert.deepEqual(must('/createdAt eq "2020-01-02"', strategy), {
+        range: {
+          createdAt: {
+            gte: '2020-01-02',
+            lte: '2020-01-02',
+            time_zone: 'Europe/Paris',
+          },
+        },
+      });
+    });
+
+    it('adds field format to range', function() {
+      assert.deepEqual(must('/updatedAt lte "02/01/2020||+1M"', strategy), {
+        range: { updatedAt: { lte: '02/01/2020||+1M', format: 'dd/MM/yyyy' } },
+      });
+    });
+
+    it('adds time zone to range on mapped date field', function() {
+      assert.deepEqual(must('/birthday gte "2020-01-02"', strategy), {
+        range: {
+          birthday: {
+            gte: '2020-01-02',
+            format: 'yyyy-MM-dd',
+            time_zone: '+01:00',
+          },
+        },
+      });
+    });
+
+    it('overrides format and time zone with options', function() {
+      const options = { format: 'yyyy', timeZone: 'UTC' };
+      assert.deepEqual(must('/updatedAt gt "2020"', strategy, options), {
+        range: { updatedAt: { gt: '2020', format: 'yyyy', time_zone: 'UTC' } },
+      });
+
+      assert.deepEqual(must('/birthday gt "2020"', strategy, options), {
+        range: { birthday: { gt: '2020', format: 'yyyy', time_zone: 'UTC' } },
+      });
+    });
+
+    it('validates literals against option format', function() {
+      assert.doesNotThrow(() => {
+        must('/createdAt gt "02/01/2020"', strategy, { format: 'dd/MM/yyyy' });
+      });
+    });
+
+    it('does not add format or time zone to non-date fields', function() {
+      assert.deepEqual(must('/age gt 1', strategy, { format: 'yyyy', timeZone: 'UTC' }), {
+        range: { age: { gt: 1 } },
+      });
+    });
+
+    it('throws InvalidValueError for invalid date math', function() {
+      assert.throws(() => {
+        must('/createdAt gt "now-7x"', strategy);
+      }, errors.InvalidValueError);
+    });
+
+    it('throws InvalidValueError for non-ISO 8601 date', function() {
+      assert.throws(() => {
+        must('/createdAt gt "01/02/2020"', strategy);
+      }, errors.InvalidValueError);
+    });
+
+    it('throws if options not object', function() {
+      assert.throws(() => {
+        must('/createdAt gt "now"', strategy, 42);
+      }, TypeError, 'options');
+    });
+
+    it('throws if options format not non-empty string', function() {
+      assert.throws(() => {
+        must('/createdAt gt "now"', strategy, { format: '' });
+      }, TypeError, 'options.format');
+    });
+
+    it('throws if options time zone not valid', function() {
+      assert.throws(() => {
+        must('/createdAt gt "now"', strategy, { timeZone: '+99' });
+      }, TypeError, 'options.timeZone');
+    });
+  });
+
+  describe('with case-insensitive fields', function() {
+    const fields = {
+      '/name': { caseInsensitive: true },
+      '/code': { caseInsensitive: true, normalizedField: 'code.lower' },
+      '/bio': { caseInsensitive: true },
+      '/born': { caseInsensitive: true, type: 'date' },
+      '/age': { caseInsensitive: true, type: 'integer' },
+      '/count': { caseInsensitive: true },
+      '/host': { caseInsensitive: true },
+    };
+
+    const properties = {
+      bio: { type: 'text' },
+      count: { type: 'long' },
+      host: { type: 'ip' },
+    };
+
+    const strategy = new Strategy({
+      output: 'clause',
+      fields,
+      mapping: { properties },
+    });
+
+    const legacy = new Strategy({
+      output: 'clause',
+      version: 'es6',
+      fields: {
+        '/code': fields['/code'],
+        '/count': { caseInsensitive: true, normalizedField: 'count.lower' },
+      },
+      mapping: { properties },
+    });
+
+    it('adds case_insensitive to term for eq', function() {
+      assert.deepEqual(must('/name eq "Ab"', strategy), {
+        term: { name: { value: 'Ab', case_insensitive: true } },
+      });
+    });
+
+    it('adds case_insensitive to term for neq', function() {
+      assert.deepEqual(must('/name neq "Ab"', strategy), {
+        bool: {
+          must_not: {
+            term: { name: { value: 'Ab', case_insensitive: true } },
+          },
+        },
+      });
+    });
+
+    it('adds should of case-insensitive terms for in', function() {
+      assert.deepEqual(must('/name in ["A","b"]', strategy), {
+        bool: {
+          should: [
+            { term: { name: { value: 'A', case_insensitive: true } } },
+            { term: { name: { value: 'b', case_insensitive: true } } },
+          ],
+          minimum_should_match: 1,
+        },
+      });
+    });
+
+    it('adds case_insensitive to like queries', function() {
+      assert.deepEqual(must('/name like "Ab"', strategy), {
+        term: { name: { value: 'Ab', case_insensitive: true } },
+      });
+
+      assert.deepEqual(must('/name like "Ab*"', strategy), {
+        prefix: { name: { value: 'Ab', case_insensitive: true } },
+      });
+
+      assert.deepEqual(must('/name like "A_b"', strategy), {
+        wildcard: { name: { value: 'A?b', case_insensitive: true } },
+      });
+    });
+
+    it('adds case_insensitive to regexp for like', function() {
+      const strat = new Strategy({
+        output: 'clause',
+        fields: { '/name': { caseInsensitive: true, pattern: 'regexp' } },
+      });
+
+      assert.deepEqual(must('/name like "A*"', strat), {
+        regexp: { name: { value: 'A.*', case_insensitive: true } },
+      });
+    });
+
+    it('does not change analyzed or date fields', function() {
+      assert.deepEqual(must('/bio eq "Ab"', strategy), {
+        match_phrase: { bio: 'Ab' },
+      });
+
+      assert.deepEqual(must('/born eq "2020"', strategy), {
+        range: { born: { gte: '2020', lte: '2020' } },
+      });
+    });
+
+    it('does not change fields typed as non-strings', function() {
+      assert.deepEqual(must('/age eq 5', strategy), { term: { age: 5 } });
+      assert.deepEqual(must('/age in [1,2]', strategy), { terms: { age: [1, 2] } });
+    });
+
+    it('does not change fields mapped as non-strings', function() {
+      assert.deepEqual(must('/count eq 5', strategy), { term: { count: 5 } });
+      assert.deepEqual(must('/count in [1,2]', strategy), { terms: { count: [1, 2] } });
+      assert.deepEqual(must('/host eq "10.0.0.1"', strategy), {
+        term: { host: '10.0.0.1' },
+      });
+    });
+
+    it('does not compare non-string fields to normalized field', function() {
+      assert.deepEqual(must('/count eq 5', legacy), { term: { count: 5 } });
+    });
+
+    it('uses normalized field if version unsupported', function() {
+      assert.deepEqual(must('/code eq "Ab"', legacy), {
+        term: { 'code.lower': 'ab' },
+      });
+    });
+
+    it('uses case_insensitive instead of normalized field if supported', function() {
+      assert.deepEqual(must('/code eq "Ab"', strategy), {
+        term: { code: { value: 'Ab', case_insensitive: true } },
+      });
+    });
+
+    it('lowercases literals for in if version unsupported', function() {
+      assert.deepEqual(must('/code in ["A",1]', legacy), {
+        terms: { 'code.lower': ['a', 1] },
+      });
+    });
+
+    it('lowercases patterns for like if version unsupported', function() {
+      assert.deepEqual(must('/code like "Ab*"', legacy), {
+        prefix: { 'code.lower': { value: 'ab' } },
+      });
+
+      assert.deepEqual(must('/code like "A_B"', legacy), {
+        wildcard: { 'code.lower': { value: 'a?b' } },
+      });
+
+      assert.deepEqual(must('/code like "AB"', legacy), {
+        term: { 'code.lower': 'ab' },
+      });
+    });
+  });
+
+  describe('with full-text fields', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/description': { fullText: true },
+        '/comments': { fullText: { analyzer: 'english', operator: 'and' } },
+        '/notes': { fullText: { like: 'query_string' } },
+      },
+      mapping: {
+        properties: {
+          description: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+        },
+      },
+    });
+
+    it('adds match_phrase for eq on field with keyword sub-field', function() {
+      assert.deepEqual(must('/description eq "quick fox"', strategy), {
+        match_phrase: { description: 'quick fox' },
+      });
+    });
+
+    it('adds analyzer to match_phrase', function() {
+      assert.deepEqual(must('/comments eq "quick fox"', strategy), {
+        match_phrase: { comments: { query: 'quick fox', analyzer: 'english' } },
+      });
+    });
+
+    it('adds should of match_phrase for in', function() {
+      assert.deepEqual(must('/description in ["a","b"]', strategy), {
+        bool: {
+          should: [
+            { match_phrase: { description: 'a' } },
+            { match_phrase: { description: 'b' } },
+          ],
+          minimum_should_match: 1,
+        },
+      });
+    });
+
+    it('adds match for like without wildcards', function() {
+      assert.deepEqual(must('/comments like "quick fox"', strategy), {
+        match: {
+          comments: { query: 'quick fox', operator: 'and', analyzer: 'english' },
+        },
+      });
+    });
+
+    it('adds match_bool_prefix for like with trailing *', function() {
+      assert.deepEqual(must('/description like "quick fo*"', strategy), {
+        match_bool_prefix: { description: { query: 'quick fo' } },
+      });
+    });
+
+    it('adds query_string for like with other wildcards', function() {
+      assert.deepEqual(must('/comments like "*qu_ck"', strategy), {
+        query_string: {
+          query: '*qu?ck',
+          default_field: 'comments',
+          analyze_wildcard: true,
+          default_operator: 'and',
+          analyzer: 'english',
+        },
+      });
+    });
+
+    it('escapes query_string operators in like', function() {
+      assert.strictEqual(
+        must('/notes like "*a* OR *"', strategy).query_string.query,
+        '*a* \\OR *'
+      );
+    });
+
+    it('adds query_string for all like if configured', function() {
+      assert.deepEqual(must('/notes nlike "quick"', strategy), {
+        bool: {
+          must_not: {
+            query_string: {
+              query: 'quick',
+              default_field: 'notes',
+              analyze_wildcard: true,
+            },
+          },
+        },
+      });
+    });
+
+    it('adds query_string for trailing * if version unsupported', function() {
+      const strat = new Strategy({
+        output: 'clause',
+        version: 'es6',
+        fields: { '/description': { fullText: true } },
+      });
+
+      assert.deepEqual(must('/description like "fo*"', strat), {
+        query_string: {
+          query: 'fo*',
+          default_field: 'description',
+          analyze_wildcard: true,
+        },
+      });
+    });
+
+    it('throws for range comparisons', function() {
+      assert.throws(() => {
+        must('/description gt "a"', strategy);
+      }, errors.IncompatibleOperatorError, '/description (gt on text)');
+    });
+
+    it('reports text type for range comparisons on unmapped fields', function() {
+      const err = thrown(() => must('/notes gt "a"', strategy));
+      assert.instanceOf(err, errors.IncompatibleOperatorError);
+      assert.deepEqual(err.data, { field: '/notes', operator: 'gt', type: 'text' });
+    });
+
+    it('reports text type for scripts on unmapped fields', function() {
+      assert.throws(() => {
+        must('/notes eq /description', strategy);
+      }, errors.IncompatibleOperatorError, '/notes (eq on text)');
+    });
+
+    it('allows nil comparisons', function() {
+      assert.deepEqual(must('/description eq nil', strategy), {
+        bool: { must_not: { exists: { field: 'description' } } },
+      });
+    });
+  });
+
+  describe('with scoring', function() {
+    const fields = {
+      '/name': { boost: 2 },
+      '/title': { boost: { eq: 3, like: 1.5 }, fullText: true },
+      '/score': { boost: 4, handler: () => ({ rank_feature: { field: 'score' } }) },
+      '/tags': { boost: 5 },
+    };
+
+    const strategy = new Strategy({ output: 'clause', fields });
+    const scoring = { score: true };
+
+    it('does not boost clauses if not scoring', function() {
+      assert.deepEqual(build('/name eq "a"', strategy, {}).value, {
+        bool: { must: [{ term: { name: 'a' } }] },
+      });
+    });
+
+    it('boosts term queries', function() {
+      assert.deepEqual(must('/name eq "a"', strategy, scoring), {
+        term: { name: { value: 'a', boost: 2 } },
+      });
+    });
+
+    it('boosts range queries', function() {
+      assert.deepEqual(must('/name gt "a"', strategy, scoring), {
+        range: { name: { gt: 'a', boost: 2 } },
+      });
+    });
+
+    it('boosts terms queries', function() {
+      assert.deepEqual(must('/name in ["a","b"]', strategy, scoring), {
+        terms: { name: ['a', 'b'], boost: 2 },
+      });
+    });
+
+    it('boosts exists queries', function() {
+      assert.deepEqual(must('/name neq nil', strategy, scoring), {
+        exists: { field: 'name', boost: 2 },
+      });
+    });
+
+    it('boosts negations as bool queries', function() {
+      assert.deepEqual(must('/name neq "a"', strategy, scoring), {
+        bool: { must_not: { term: { name: 'a' } }, boost: 2 },
+      });
+    });
+
+    it('boosts by operator', function() {
+      assert.deepEqual(must('/title eq "a b"', strategy, scoring), {
+        match_phrase: { title: { query: 'a b', boost: 3 } },
+      });
+
+      assert.deepEqual(must('/title like "a b*"', strategy, scoring), {
+        match_bool_prefix: { title: { query: 'a b', boost: 1.5 } },
+      });
+    });
+
+    it('does not boost operators without boost', function() {
+      assert.deepEqual(must('/title in ["a"]', strategy, scoring), {
+        bool: {
+          should: [{ match_phrase: { title: 'a' } }],
+          minimum_should_match: 1,
+        },
+      });
+    });
+
+    it('boosts virtual field queries in bool', function() {
+      assert.deepEqual(must('/score gt 1', strategy, scoring), {
+        bool: { must: { rank_feature: { field: 'score' } }, boost: 4 },
+      });
+    });
+
+    it('boosts script queries', function() {
+      assert.strictEqual(must('/tags/0 eq "a"', strategy, scoring).script.boost, 5);
+    });
+
+    it('adds minimum_should_match to or groups', function() {
+      assert.deepEqual(build('/a eq 1 or /b eq 2', strategy, scoring).value, {
+        bool: {
+          should: [
+            { bool: { must: [{ term: { a: 1 } }] } },
+            { bool: { must: [{ term: { b: 2 } }] } },
+          ],
+          minimum_should_match: 1,
+        },
+      });
+    });
+
+    it('places clause in query context for each output', function() {
+      const exp = '/a eq 1';
+      const clause = { bool: { must: [{ term: { a: 1 } }] } };
+
+      assert.deepEqual(build(exp, new Strategy({}), scoring).value, { query: clause });
+
+      assert.deepEqual(build(exp, new Strategy({ output: 'bool' }), scoring).value, {
+        bool: { must: clause },
+      });
+
+      assert.deepEqual(build(exp, new Strategy({ output: 'query' }), scoring).value, {
+        query: { bool: { must: clause } },
+      });
+    });
+
+    it('throws if scoring with constant_score output', function() {
+      assert.throws(() => {
+        build('/a eq 1', new Strategy({ output: 'constant_score' }), scoring);
+      }, TypeError, 'options.score');
+    });
+
+    it('throws if score not Boolean', function() {
+      assert.throws(() => {
+        build('/a eq 1', strategy, { score: 'yes' });
+      }, TypeError, 'options.score');
+    });
+  });
+
+  describe('with field operators', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/description': { operators: ['eq', 'neq'] },
+        '/age': { operators: ['gt', 'lt', 'target'] },
+        '/limit': { operators: ['gt', 'lt'] },
+        '/tags': { operators: ['in'] },
+        '/tags/$length': { operators: ['gt'] },
+        '/score': { operators: ['eq'], handler: () => ({ match_all: {} }) },
+      },
+    });
+
+    function denied(exp, field, operator) {
+      try {
+        build(exp, strategy);
+        assert.fail();
+      } catch (err) {
+        assert.instanceOf(err, errors.DeniedOperatorError);
+        assert.deepEqual(err.data, { field, operator });
+      }
+    }
+
+    it('converts allowed operators', function() {
+      assert.doesNotThrow(() => {
+        build('/description eq "a" and /age gt 1 and /tags in ["a"]', strategy);
+      });
+    });
+
+    it('throws for operator not allowed', function() {
+      denied('/description like "a*"', '/description', 'like');
+    });
+
+    it('throws for operator not allowed in nested group', function() {
+      denied('/age gt 1 and (/a eq 1 or /description nlike "a")', '/description', 'nlike');
+    });
+
+    it('checks operator as applied to field', function() {
+      assert.doesNotThrow(() => {
+        build('1 lt /age', strategy);
+      });
+
+      denied('1 gte /age', '/age', 'lte');
+    });
+
+    it('allows target comparison if allowed on both fields', function() {
+      assert.doesNotThrow(() => {
+        build('/age gt /other', strategy);
+      });
+    });
+
+    it('throws for target comparison not allowed', function() {
+      denied('/age lt /limit', '/limit', 'target');
+    });
+
+    it('checks operator of target comparison as applied to each field', function() {
+      denied('/other gte /age', '/age', 'lte');
+      denied('/age eq /other', '/age', 'eq');
+    });
+
+    it('checks operators of indexed targets', function() {
+      denied('/tags/0 eq "a"', '/tags', 'eq');
+    });
+
+    it('checks operators of length targets', function() {
+      assert.doesNotThrow(() => {
+        build('/tags/$length gt 1', strategy);
+      });
+
+      denied('/tags/$length lt 1', '/tags/$length', 'lt');
+    });
+
+    it('checks operators of virtual fields', function() {
+      denied('/score gt 1', '/score', 'gt');
+    });
+
+    it('throws DeniedFieldError before DeniedOperatorError', function() {
+      const strat = new Strategy({
+        deny: ['/description'],
+        fields: { '/description': { operators: ['eq'] } },
+      });
+
+      assert.throws(() => {
+        convert(spleen.parse('/description like "a"').value, strat);
+      }, errors.DeniedFieldError);
+    });
+  });
+
+  describe('with array lengths', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      fields: {
+        '/labels': { lengthField: 'labels.count' },
+        '/orders/items/codes': { lengthField: 'orders.items.codes_count' },
+      },
+      nested: ['/orders', '/orders/items'],
+      mapping: {
+        properties: {
+          names: { type: 'text', fields: { keyword: { type: 'keyword' } } },
+          body: { type: 'text' },
+        },
+      },
+    });
+
+    it('adds doc values size script for length', function() {
+      const { script } = must('/tags/$length gte 3', strategy).script;
+      assert.strictEqual(
+        script.source,
+        `${painless.docCount} return value != null && value >= params.value;`
+      );
+
+      assert.deepEqual(script.params, { value: 3, field: 'tags' });
+    });
+
+    it('uses keyword sub-field in size script', function() {
+      const { script } = must('/names/$length eq 2', strategy).script;
+      assert.strictEqual(script.params.field, 'names.keyword');
+    });
+
+    it('throws for size script on analyzed text', function() {
+      assert.throws(() => {
+        must('/body/$length gt 2', strategy);
+      }, errors.IncompatibleOperatorError, '/body (gt on text)');
+    });
+
+    it('wraps size script on nested path in nested query', function() {
+      const result = build('/orders/items/tags/$length gt 1', strategy).value;
+      assert.deepEqual(result.nested.path, 'orders');
+      assert.deepEqual(result.nested.query.nested.path, 'orders.items');
+
+      const { script } = result.nested.query.nested.query.bool.must[0].script;
+      assert.deepEqual(script.params, { value: 1, field: 'orders.items.tags' });
+    });
+
+    it('negates size script on nested path outside nested query', function() {
+      const { nested } = must('/orders/items/tags/$length neq 1', strategy).bool.must_not;
+      assert.strictEqual(nested.path, 'orders');
+
+      const { script } = nested.query.nested.query.script;
+      assert.strictEqual(
+        script.source,
+        `${painless.docCount} return value == params.value;`
+      );
+    });
+
+    it('combines size script with clauses on same nested path', function() {
+      const exp = '/orders/items/tags/$length gt 1 and /orders/items/sku eq "a"';
+      const result = build(exp, strategy).value;
+      const { query } = result.nested.query.nested;
+      assert.lengthOf(query.bool.must, 2);
+      assert.deepEqual(query.bool.must[1], { term: { 'orders.items.sku': 'a' } });
+    });
+
+    it('wraps length field on nested path in nested query', function() {
+      assert.deepEqual(build('/orders/items/codes/$length eq 2', strategy).value, {
+        nested: {
+          path: 'orders',
+          query: {
+            nested: {
+              path: 'orders.items',
+              query: { bool: { must: [{ term: { 'orders.items.codes_count': 2 } }] } },
+            },
+          },
+        },
+      });
+    });
+
+    it('adds range on length field for length comparison', function() {
+      assert.deepEqual(must('3 lt /labels/$length', strategy), {
+        range: { 'labels.count': { gt: 3 } },
+      });
+    });
+
+    it('adds term on length field for length eq', function() {
+      assert.deepEqual(must('/labels/$length eq 2', strategy), {
+        term: { 'labels.count': 2 },
+      });
+    });
+
+    it('adds range on length field for length between', function() {
+      assert.deepEqual(must('/labels/$length between 1,3', strategy), {
+        range: { 'labels.count': { gte: 1, lte: 3 } },
+      });
+    });
+
+    it('reports array field in fields', function() {
+      assert.deepEqual(build('/tags/$length gt 1', strategy).fields, ['/tags']);
+    });
+
+    it('checks allow list against array field', function() {
+      const strat = new Strategy({ allow: ['/tags'] });
+      assert.doesNotThrow(() => {
+        build('/tags/$length gt 1', strat);
+      });
+
+      assert.throws(() => {
+        build('/other/$length gt 1', strat);
+      }, errors.NonallowedFieldError);
+    });
+
+    it('uses configured length marker', function() {
+      const strat = new Strategy({ lengthMarker: '_size' });
+      const result = build('/tags/_size gt 1', strat);
+      assert.deepEqual(result.fields, ['/tags']);
+      assert.isObject(result.value.filter.bool.must[0].script);
+    });
+
+    it('does not treat single segment marker as length', function() {
+      const result = build('/$length gt 1', strategy);
+      assert.deepEqual(result.value.bool.must[0], {
+        range: { $length: { gt: 1 } },
+      });
+    });
+
+    it('throws if length compared to nil', function() {
+      assert.throws(() => {
+        must('/tags/$length eq nil', strategy);
+      }, errors.ConvertError);
+    });
+
+    it('throws for like on length', function() {
+      assert.throws(() => {
+        must('/tags/$length like "1*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws for like on length field', function() {
+      assert.throws(() => {
+        must('/labels/$length nlike "1*"', strategy);
+      }, errors.IncompatibleOperatorError);
+    });
+
+    it('throws if length compared to target', function() {
+      assert.throws(() => {
+        must('/tags/$length eq /count', strategy);
+      }, errors.ConvertError);
+    });
+  });
+
+
+  describe('with complexity limits', function() {
+    function limited(limits) {
+      return new Strategy({ limits });
+    }
+
+    it('converts filters within limits', function() {
+      const result = build('/a eq 1 and (/b eq 2 or /c eq 3)', limited({
+        clauses: 3,
+        depth: 2,
+      }));
+
+      assert.isObject(result.value);
+    });
+
+    it('throws ComplexityError if nesting too deep', function() {
+      const err = thrown(() => {
+        build('/a eq 1 and (/b eq 2 or (/c eq 3 and /d eq 4))', limited({ depth: 2 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, { limit: 'depth', maximum: 2, actual: 3 });
+    });
+
+    it('throws ComplexityError if too many clauses', function() {
+      const err = thrown(() => {
+        build('/a eq 1 and (/b eq 2 or /c eq 3) and /d eq 4', limited({ clauses: 3 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, { limit: 'clauses', maximum: 3, actual: 4 });
+    });
+
+    it('throws ComplexityError if in list too long', function() {
+      const err = thrown(() => {
+        build('/a nin [1, 2, 3, 4]', limited({ values: 2 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, { limit: 'values', maximum: 2, actual: 4 });
+    });
+
+    it('throws ComplexityError if pattern too long', function() {
+      const err = thrown(() => {
+        build('/a like "abc*def"', limited({ patternLength: 5 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, {
+        limit: 'patternLength',
+        maximum: 5,
+        actual: 7,
+      });
+    });
+
+    it('throws ComplexityError if too many script clauses', function() {
+      const err = thrown(() => {
+        build('/a gt /b and /c eq 1 and /d lt /e', limited({ scripts: 1 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, { limit: 'scripts', maximum: 1, actual: 2 });
+    });
+
+    it('throws ComplexityError if pattern has too many wildcards', function() {
+      const err = thrown(() => {
+        build('/a like "*a*b*c"', limited({ wildcards: 2 }));
+      });
+
+      assert.instanceOf(err, errors.ComplexityError);
+      assert.deepEqual(err.data, { limit: 'wildcards', maximum: 2, actual: 3 });
+    });
+  });
+
+
+  describe('with scripts restricted', function() {
+    function restricted(scripts, fields) {
+      return new Strategy({ output: 'clause', scripts, fields });
+    }
+
+    it('converts clauses without scripts', function() {
+      const result = build('/a eq 1 and /b/$length gt 2', restricted(false, {
+        '/b': { lengthField: 'b.count' },
+      }));
+
+      assert.isObject(result.value.bool);
+    });
+
+    it('throws ForbiddenScriptError for two targets', function() {
+      const err = thrown(() => build('/a eq 1 and /a gt /b', restricted(false)));
+      assert.instanceOf(err, errors.ForbiddenScriptError);
+      assert.deepEqual(err.data, { clause: '/a gt /b', fields: ['/a', '/b'] });
+    });
+
+    it('throws ForbiddenScriptError for length targets', function() {
+      const err = thrown(() => build('/tags/$length gt 2', restricted(false)));
+      assert.instanceOf(err, errors.ForbiddenScriptError);
+      assert.deepEqual(err.data.fields, ['/tags/$length']);
+    });
+
+    it('throws ForbiddenScriptError for array indexes', function() {
+      const err = thrown(() => build('/tags/0 eq "a"', restricted(['/a'])));
+      assert.instanceOf(err, errors.ForbiddenScriptError);
+      assert.deepEqual(err.data.fields, ['/tags']);
+    });
+
+    it('allows scripts for listed fields', function() {
+      const result = build('/tags/$length gt 2 and /a gt /b', restricted(['/tags', '/a', '/b']));
+      assert.isObject(result.value.bool.must[0].script);
+      assert.isObject(result.value.bool.must[1].script);
+    });
+
+    it('names only unlisted fields in ForbiddenScriptError', function() {
+      const err = thrown(() => build('/a gt /b', restricted(['/a'])));
+      assert.deepEqual(err.data.fields, ['/b']);
+    });
+  });
+
+
+  describe('with leading wildcards', function() {
+    const strategy = new Strategy({
+      output: 'clause',
+      leadingWildcard: 'deny',
+      fields: {
+        '/name': { reverseField: 'name.reverse', ngramField: 'name.ngram' },
+        '/code': { reverseField: 'code.reverse', caseInsensitive: true },
+        '/tag': { ngramField: 'tag.ngram' },
+        '/body': { fullText: true, reverseField: 'body.reverse' },
+        '/path': { reverseField: 'path.reverse', pattern: 'regexp' },
+      },
+    });
+
+    it('leaves patterns without leading wildcards unchanged', function() {
+      assert.deepEqual(must('/name like "abc*"', strategy), {
+        prefix: { name: { value: 'abc' } },
+      });
+    });
+
+    it('rewrites leading * against reverse field', function() {
+      assert.deepEqual(must('/name like "*.com"', strategy), {
+        prefix: { 'name.reverse': { value: 'moc.' } },
+      });
+    });
+
+    it('rewrites leading _ against reverse field', function() {
+      assert.deepEqual(must('/name like "_*bc"', strategy), {
+        wildcard: { 'name.reverse': { value: 'cb*?' } },
+      });
+    });
+
+    it('keeps case_insensitive on reverse field', function() {
+      assert.deepEqual(must('/code like "*Ab"', strategy), {
+        prefix: { 'code.reverse': { value: 'bA', case_insensitive: true } },
+      });
+    });
+
+    it('folds reverse pattern if version lacks case_insensitive', function() {
+      const strat = new Strategy({
+        output: 'clause',
+        version: 'es6',
+        fields: {
+          '/code': {
+            reverseField: 'code.reverse',
+            caseInsensitive: true,
+            normalizedField: 'code.lower',
+          },
+        },
+      });
+
+      assert.deepEqual(must('/code like "*Ab"', strat), {
+        prefix: { 'code.reverse': { value: 'ba' } },
+      });
+    });
+
+    it('uses regexp on reverse field if pattern is regexp', function() {
+      assert.deepEqual(must('/path like "*/a"', strategy), {
+        regexp: { 'path.reverse': { value: 'a/.*' } },
+      });
+    });
+
+    it('rewrites * wrapped pattern against ngram field', function() {
+      assert.deepEqual(must('/name like "*abc*"', strategy), {
+        match: { 'name.ngram': { query: 'abc', operator: 'and' } },
+      });
+
+      assert.deepEqual(must('/tag like "*abc*"', strategy), {
+        match: { 'tag.ngram': { query: 'abc', operator: 'and' } },
+      });
+    });
+
+    it('negates rewritten nlike', function() {
+      assert.deepEqual(must('/name nlike "*.com"', strategy), {
+        bool: {
+          must_not: { prefix: { 'name.reverse': { value: 'moc.' } } },
+        },
+      });
+    });
+
+    it('throws LeadingWildcardError if pattern cannot be rewritten', function() {
+      const err = thrown(() => must('/tag like "*abc"', strategy));
+      assert.instanceOf(err, errors.LeadingWildcardError);
+      assert.deepEqual(err.data, { field: '/tag', pattern: '*abc' });
+    });
+
+    it('throws LeadingWildcardError for unconfigured fields', function() {
+      assert.instanceOf(thrown(() => must('/other like "*"', strategy)), errors.LeadingWildcardError);
+    });
+
+    it('throws LeadingWildcardError for full-text fields', function() {
+      assert.instanceOf(thrown(() => must('/body like "*abc"', strategy)), errors.LeadingWildcardError);
+    });
+
+    it('allows leading wildcards by default', function() {
+      const strat = new Strategy({ output: 'clause' });
+      assert.deepEqual(must('/tag like "*abc"', strat), {
+        wildcard: { tag: { value: '*abc' } },
+      });
+    });
+  });
+
+
+  describe('with constant folding', function() {
+    const strategy = new Strategy({ output: 'clause' });
+
+    it('folds true literal clause to match_all', function() {
+      assert.deepEqual(build('1 eq 1', strategy).value, { match_all: {} });
+      assert.deepEqual(build('nil eq nil', strategy).value, { match_all: {} });
+      assert.deepEqual(build('"b" gte "a"', strategy).value, { match_all: {} });
+    });
+
+    it('folds false literal clause to match_none', function() {
+      assert.deepEqual(build('1 neq 1', strategy).value, { match_none: {} });
+      assert.deepEqual(build('"1" eq 1', strategy).value, { match_none: {} });
+    });
+
+    it('removes true clauses from AND group', function() {
+      assert.deepEqual(build('/a eq 1 and 2 gt 1', strategy).value, {
+        bool: { must: [{ term: { a: 1 } }] },
+      });
+    });
+
+    it('folds AND group with false clause to match_none', function() {
+      assert.deepEqual(build('/a eq 1 and 1 gt 2', strategy).value, { match_none: {} });
+    });
+
+    it('removes false groups from OR', function() {
+      assert.deepEqual(build('/a eq 1 or 1 gt 2 and /b eq 2', strategy).value, {
+        bool: { must: [{ term: { a: 1 } }] },
+      });
+    });
+
+    it('folds OR with true group to match_all', function() {
+      assert.deepEqual(build('/a eq 1 or 1 eq 1', strategy).value, { match_all: {} });
+    });
+
+    it('folds nested groups into enclosing group', function() {
+      assert.deepEqual(build('/a eq 1 and (1 eq 2 or /b eq 2)', strategy).value, {
+        bool: {
+          must: [
+            { term: { a: 1 } },
+            { bool: { must: [{ term: { b: 2 } }] } },
+          ],
+        },
+      });
+
+      assert.deepEqual(build('/a eq 1 and (1 eq 2 or 2 eq 3)', strategy).value, {
+        match_none: {},
+      });
+    });
+
+    it('wraps folded filter in output', function() {
+      const strat = new Strategy({ output: 'query' });
+      assert.deepEqual(build('1 eq 1', strat).value, {
+        query: { bool: { filter: { match_all: {} } } },
+      });
+    });
+
+    it('reports fields of folded groups', function() {
+      assert.deepEqual(build('/a eq 1 or 1 eq 1', strategy).fields, ['/a']);
+    });
+
+    it('does not generate scripts for folded clauses', function() {
+      const strat = new Strategy({ output: 'clause', scripts: false });
+      assert.deepEqual(build('1 lt 2', strat).value, { match_all: {} });
+    });
+
+    it('folds in and nin literal clauses', function() {
+      assert.deepEqual(build('5 in [1,5]', strategy).value, { match_all: {} });
+      assert.deepEqual(build('"5" in [1,5]', strategy).value, { match_none: {} });
+      assert.deepEqual(build('5 nin [1,2]', strategy).value, { match_all: {} });
+      assert.deepEqual(build('5 nin [1,5]', strategy).value, { match_none: {} });
+    });
+
+    it('folds between and nbetween literal clauses', function() {
+      assert.deepEqual(build('5 between 1,10', strategy).value, { match_all: {} });
+      assert.deepEqual(build('"b" between "a","c"', strategy).value, { match_all: {} });
+      assert.deepEqual(build('11 between 1,10', strategy).value, { match_none: {} });
+      assert.deepEqual(build('"5" between 1,10', strategy).value, { match_none: {} });
+      assert.deepEqual(build('11 nbetween 1,10', strategy).value, { match_all: {} });
+      assert.deepEqual(build('5 nbetween 1,10', strategy).value, { match_none: {} });
+    });
+
+    it('folds like and nlike literal clauses', function() {
+      assert.deepEqual(build('"abc" like "a*"', strategy).value, { match_all: {} });
+      assert.deepEqual(build('"abc" like "A*"', strategy).value, { match_none: {} });
+      assert.deepEqual(build('"abc" nlike "b*"', strategy).value, { match_all: {} });
+      assert.deepEqual(build('"abc" nlike "a_c"', strategy).value, { match_none: {} });
+    });
+
+    it('folds literal comparisons that cannot succeed to match_none', function() {
+      assert.deepEqual(build('nil lt 1', strategy).value, { match_none: {} });
+      assert.deepEqual(build('true gt false', strategy).value, { match_none: {} });
+      assert.deepEqual(build('"a" gte 1', strategy).value, { match_none: {} });
+    });
+  });
+
   it('converts targets to dot notation', function() {
     const { value } = spleen.parse('/foo/bar eq 42 and /baz/qux eq false');
     const result = convert(value);
@@ -0,0 +1,91 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const dates = require('../../lib/dates');
+
+
+describe('dates', function() {
+
+  describe('.isDate', function() {
+    it('returns true for ISO 8601 dates and date times', function() {
+      assert.isTrue(dates.isDate('2020', null));
+      assert.isTrue(dates.isDate('2020-01', null));
+      assert.isTrue(dates.isDate('2020-01-02', null));
+      assert.isTrue(dates.isDate('2020-01-02T03', null));
+      assert.isTrue(dates.isDate('2020-01-02T03:04:05.678Z', null));
+      assert.isTrue(dates.isDate('2020-01-02T03:04+05:30', null));
+    });
+
+    it('returns false for invalid ISO 8601 dates', function() {
+      assert.isFalse(dates.isDate('2020-13-01', null));
+      assert.isFalse(dates.isDate('2020-01-32', null));
+      assert.isFalse(dates.isDate('2020-01-02T24:00', null));
+      assert.isFalse(dates.isDate('Jan 2, 2020', null));
+      assert.isFalse(dates.isDate('', null));
+    });
+
+    it('returns true for safe integer epoch milliseconds', function() {
+      assert.isTrue(dates.isDate(1577923200000, null));
+      assert.isFalse(dates.isDate(1.5, null));
+    });
+
+    it('returns false for non-strings', function() {
+      assert.isFalse(dates.isDate(true, null));
+    });
+
+    it('returns true for now with date math', function() {
+      assert.isTrue(dates.isDate('now', null));
+      assert.isTrue(dates.isDate('now-7d/d', null));
+      assert.isTrue(dates.isDate('now+1M-2h/H', null));
+    });
+
+    it('returns false for invalid date math', function() {
+      assert.isFalse(dates.isDate('now-7x', null));
+      assert.isFalse(dates.isDate('now-d', null));
+      assert.isFalse(dates.isDate('now/', null));
+      assert.isFalse(dates.isDate('nowish', null));
+    });
+
+    it('returns true for anchored date math', function() {
+      assert.isTrue(dates.isDate('2020-01-02||+1M/d', null));
+      assert.isTrue(dates.isDate('2020-01-02||', null));
+    });
+
+    it('returns false for invalid anchored date math', function() {
+      assert.isFalse(dates.isDate('now||+1d', null));
+      assert.isFalse(dates.isDate('2020-01-32||+1d', null));
+      assert.isFalse(dates.isDate('2020-01-02||1d', null));
+    });
+
+    it('returns true for any anchor if format provided', function() {
+      assert.isTrue(dates.isDate('02/01/2020', 'dd/MM/yyyy'));
+      assert.isTrue(dates.isDate('02/01/2020||+1d', 'dd/MM/yyyy'));
+      assert.isFalse(dates.isDate('', 'dd/MM/yyyy'));
+      assert.isFalse(dates.isDate('02/01/2020||+1', 'dd/MM/yyyy'));
+    });
+  });
+
+
+  describe('.isTimeZone', function() {
+    it('returns true for UTC offsets', function() {
+      assert.isTrue(dates.isTimeZone('+01:00'));
+      assert.isTrue(dates.isTimeZone('-0530'));
+      assert.isTrue(dates.isTimeZone('+01'));
+    });
+
+    it('returns true for IANA time zone IDs', function() {
+      assert.isTrue(dates.isTimeZone('UTC'));
+      assert.isTrue(dates.isTimeZone('America/New_York'));
+      assert.isTrue(dates.isTimeZone('Etc/GMT+5'));
+    });
+
+    it('returns false for invalid time zones', function() {
+      assert.isFalse(dates.isTimeZone('+25:00'));
+      assert.isFalse(dates.isTimeZone('America/'));
+      assert.isFalse(dates.isTimeZone(''));
+      assert.isFalse(dates.isTimeZone(42));
+    });
+  });
+
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const dialects = require('../../lib/dialects');
+
+
+describe('dialects', function() {
+
+  describe('.get', function() {
+    it('returns null for unknown version', function() {
+      assert.isNull(dialects.get('es1'));
+    });
+
+    it('returns null for inherited keys', function() {
+      assert.isNull(dialects.get('toString'));
+    });
+
+    it('returns dialect for each version', function() {
+      for (let i = 0; i < dialects.versions.length; i++) {
+        const version = dialects.versions[i];
+        assert.strictEqual(dialects.get(version).name, version);
+      }
+    });
+
+    it('uses inline script source for es5', function() {
+      assert.strictEqual(dialects.get('es5').scriptSource, 'inline');
+    });
+
+    it('uses source script source for es6', function() {
+      assert.strictEqual(dialects.get('es6').scriptSource, 'source');
+    });
+
+    it('does not support match_bool_prefix before es7', function() {
+      assert.isFalse(dialects.get('es5').boolPrefix);
+      assert.isFalse(dialects.get('es6').boolPrefix);
+      assert.isTrue(dialects.get('es7').boolPrefix);
+    });
+  });
+
+
+  describe('.versions', function() {
+    it('lists supported versions', function() {
+      assert.sameMembers(dialects.versions, [
+        'es5',
+        'es6',
+        'es7',
+        'es8',
+        'opensearch1',
+        'opensearch2',
+      ]);
+    });
+  });
+
+});
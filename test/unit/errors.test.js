@@ -8,6 +8,23 @@ const errors = require('../../lib/errors');
 
 describe('errors', function() {
 
+  describe('ComplexityError', function() {
+    it('should set message to default suffixed with limit and excess', function() {
+      const result = new errors.ComplexityError('depth', 3, 5);
+      const expected = errors.ComplexityError.defaultMessage;
+      assert.strictEqual(
+        result.message,
+        `${expected}depth (5 exceeds maximum of 3 by 2)`
+      );
+    });
+
+    it('should set data to limit, maximum, and actual', function() {
+      const result = new errors.ComplexityError('depth', 3, 5);
+      assert.deepEqual(result.data, { limit: 'depth', maximum: 3, actual: 5 });
+    });
+  });
+
+
   describe('ConvertError', function() {
     it('should set message to default if none provided', function() {
       const result = new errors.ConvertError();
@@ -37,6 +54,52 @@ describe('errors', function() {
   });
 
 
+  describe('DeniedOperatorError', function() {
+    it('should set message to default suffixed with field', function() {
+      const result = new errors.DeniedOperatorError('/foo', 'like');
+      const expected = errors.DeniedOperatorError.defaultMessage;
+      assert.strictEqual(result.message, `${expected}/foo (like)`);
+    });
+
+    it('should set data to field and operator', function() {
+      const result = new errors.DeniedOperatorError('/foo', 'like');
+      assert.deepEqual(result.data, { field: '/foo', operator: 'like' });
+    });
+  });
+
+
+  describe('ForbiddenScriptError', function() {
+    it('should set message to default suffixed with clause', function() {
+      const result = new errors.ForbiddenScriptError('/foo gt /bar', ['/bar']);
+      const expected = errors.ForbiddenScriptError.defaultMessage;
+      assert.strictEqual(result.message, `${expected}/foo gt /bar`);
+    });
+
+    it('should set data to clause and fields', function() {
+      const result = new errors.ForbiddenScriptError('/foo gt /bar', ['/bar']);
+      assert.deepEqual(result.data, { clause: '/foo gt /bar', fields: ['/bar'] });
+    });
+  });
+
+
+  describe('IncompatibleOperatorError', function() {
+    it('should set message to default suffixed with field', function() {
+      const result = new errors.IncompatibleOperatorError('/foo', 'like', 'long');
+      const expected = errors.IncompatibleOperatorError.defaultMessage;
+      assert.isTrue(result.message.startsWith(`${expected}/foo`));
+    });
+
+    it('should set data to field, operator, and type', function() {
+      const result = new errors.IncompatibleOperatorError('/foo', 'like', 'long');
+      assert.deepEqual(result.data, {
+        field: '/foo',
+        operator: 'like',
+        type: 'long',
+      });
+    });
+  });
+
+
   describe('InvalidTargetError', function() {
     it('should set message with provided target', function() {
       const pointer = '/foo/bar';
@@ -47,6 +110,38 @@ describe('errors', function() {
   });
 
 
+  describe('InvalidValueError', function() {
+    it('should set message to default suffixed with field', function() {
+      const result = new errors.InvalidValueError('/foo', 'abc', 'integer');
+      const expected = errors.InvalidValueError.defaultMessage;
+      assert.strictEqual(result.message, `${expected}/foo ("abc" to integer)`);
+    });
+
+    it('should set data to field, value, and type', function() {
+      const result = new errors.InvalidValueError('/foo', 'abc', 'integer');
+      assert.deepEqual(result.data, {
+        field: '/foo',
+        value: 'abc',
+        type: 'integer',
+      });
+    });
+  });
+
+
+  describe('LeadingWildcardError', function() {
+    it('should set message to default suffixed with field and pattern', function() {
+      const result = new errors.LeadingWildcardError('/foo', '*bar');
+      const expected = errors.LeadingWildcardError.defaultMessage;
+      assert.strictEqual(result.message, `${expected}/foo (*bar)`);
+    });
+
+    it('should set data to field and pattern', function() {
+      const result = new errors.LeadingWildcardError('/foo', '*bar');
+      assert.deepEqual(result.data, { field: '/foo', pattern: '*bar' });
+    });
+  });
+
+
   describe('NonallowedFieldError', function() {
     it('should set message to default suffixed with field', function() {
       const field = '/foo/bar';
@@ -71,4 +166,19 @@ describe('errors', function() {
     });
   });
 
+
+  describe('UnsupportedIndexError', function() {
+    it('should set message to default suffixed with field', function() {
+      const field = '/foo';
+      const result = new errors.UnsupportedIndexError(field);
+      const expected = errors.UnsupportedIndexError.defaultMessage + field;
+      assert.strictEqual(result.message, expected);
+    });
+
+    it('should set data to field', function() {
+      const result = new errors.UnsupportedIndexError('/foo');
+      assert.strictEqual(result.data, '/foo');
+    });
+  });
+
 });
@@ -0,0 +1,78 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const globs = require('../../lib/globs');
+
+
+describe('globs', function() {
+
+  describe('.compile', function() {
+    it('separates exact entries from patterns', function() {
+      const result = globs.compile(new Set(['/a', '/b/*']));
+      assert.deepEqual(Array.from(result.exact), ['/a']);
+      assert.lengthOf(result.patterns, 1);
+      assert.instanceOf(result.patterns[0], RegExp);
+    });
+  });
+
+
+  describe('.matches', function() {
+    function matches(entries, pointer) {
+      return globs.matches(globs.compile(entries), pointer);
+    }
+
+    it('matches exact entry', function() {
+      assert.isTrue(matches(['/a'], '/a'));
+    });
+
+    it('matches descendants of exact entry', function() {
+      assert.isTrue(matches(['/a'], '/a/b'));
+      assert.isTrue(matches(['/a/b'], '/a/b/c/d'));
+    });
+
+    it('does not match siblings sharing prefix', function() {
+      assert.isFalse(matches(['/a'], '/ab'));
+      assert.isFalse(matches(['/a/b'], '/a/bc/d'));
+    });
+
+    it('does not match ancestors', function() {
+      assert.isFalse(matches(['/a/b'], '/a'));
+    });
+
+    it('matches * to one segment', function() {
+      assert.isTrue(matches(['/meta/*'], '/meta/x'));
+      assert.isFalse(matches(['/meta/*'], '/meta'));
+      assert.isFalse(matches(['/meta/*'], '/other/x'));
+    });
+
+    it('matches * within segment', function() {
+      assert.isTrue(matches(['/meta/x_*'], '/meta/x_1'));
+      assert.isFalse(matches(['/meta/x_*'], '/meta/y_1'));
+    });
+
+    it('matches descendants of * pattern', function() {
+      assert.isTrue(matches(['/meta/*'], '/meta/x/y'));
+      assert.isTrue(matches(['/*/id'], '/a/id/b'));
+      assert.isFalse(matches(['/*/id'], '/a/b/id'));
+    });
+
+    it('matches ** to any number of segments', function() {
+      assert.isTrue(matches(['/attributes/**'], '/attributes'));
+      assert.isTrue(matches(['/attributes/**'], '/attributes/a/b'));
+      assert.isTrue(matches(['/**/secret'], '/secret'));
+      assert.isTrue(matches(['/**/secret'], '/a/b/secret'));
+      assert.isFalse(matches(['/**/secret'], '/a/secrets'));
+    });
+
+    it('escapes regular expression characters', function() {
+      assert.isTrue(matches(['/a.b/*'], '/a.b/c'));
+      assert.isFalse(matches(['/a.b/*'], '/axb/c'));
+    });
+
+    it('returns false for no entries', function() {
+      assert.isFalse(matches([], '/a'));
+    });
+  });
+
+});
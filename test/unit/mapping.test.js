@@ -0,0 +1,282 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const mapping = require('../../lib/mapping');
+
+
+describe('mapping', function() {
+
+  describe('.compile', function() {
+    const properties = {
+      name: {
+        type: 'text',
+        fields: {
+          raw: { type: 'keyword' },
+        },
+      },
+      created: { type: 'date', format: 'yyyy-MM-dd' },
+      address: {
+        properties: {
+          city: { type: 'keyword' },
+        },
+      },
+    };
+
+    it('returns empty Map if mapping null', function() {
+      const result = mapping.compile(null);
+      assert.instanceOf(result, Map);
+      assert.strictEqual(result.size, 0);
+    });
+
+    it('throws if mapping not object', function() {
+      assert.throws(() => {
+        mapping.compile(42);
+      }, TypeError);
+    });
+
+    it('throws if mapping is array', function() {
+      assert.throws(() => {
+        mapping.compile([]);
+      }, TypeError);
+    });
+
+    it('throws if property not object', function() {
+      assert.throws(() => {
+        mapping.compile({ properties: { foo: 42 } });
+      }, TypeError);
+    });
+
+    it('compiles bare properties', function() {
+      const result = mapping.compile({ properties });
+      assert.strictEqual(result.get('created').type, 'date');
+    });
+
+    it('compiles mappings', function() {
+      const result = mapping.compile({ mappings: { properties } });
+      assert.strictEqual(result.get('created').type, 'date');
+    });
+
+    it('compiles get mapping response', function() {
+      const result = mapping.compile({
+        myindex: { mappings: { properties } },
+      });
+
+      assert.strictEqual(result.get('created').type, 'date');
+    });
+
+    it('compiles get mapping response with types', function() {
+      const result = mapping.compile({
+        myindex: { mappings: { _doc: { properties } } },
+      });
+
+      assert.strictEqual(result.get('created').type, 'date');
+    });
+
+    it('compiles get mapping response with many indices', function() {
+      const result = mapping.compile({
+        a: { mappings: { properties: { foo: { type: 'long' } } } },
+        b: { mappings: { properties: { bar: { type: 'ip' } } } },
+        c: 'bork',
+      });
+
+      assert.strictEqual(result.get('foo').type, 'long');
+      assert.strictEqual(result.get('bar').type, 'ip');
+    });
+
+    it('sets format', function() {
+      const result = mapping.compile({ properties });
+      assert.strictEqual(result.get('created').format, 'yyyy-MM-dd');
+      assert.isNull(result.get('address.city').format);
+    });
+
+    it('flattens object properties to dot notation', function() {
+      const result = mapping.compile({ properties });
+      assert.strictEqual(result.get('address').type, 'object');
+      assert.strictEqual(result.get('address.city').type, 'keyword');
+    });
+
+    it('sets type null if not specified', function() {
+      const result = mapping.compile({ properties: { foo: {} } });
+      assert.isNull(result.get('foo').type);
+    });
+
+    it('sets keyword to keyword sub-field of text', function() {
+      const result = mapping.compile({ properties });
+      assert.strictEqual(result.get('name').keyword, 'raw');
+    });
+
+    it('prefers keyword sub-field named keyword', function() {
+      const result = mapping.compile({
+        properties: {
+          foo: {
+            type: 'text',
+            fields: {
+              raw: { type: 'keyword' },
+              keyword: { type: 'keyword' },
+            },
+          },
+        },
+      });
+
+      assert.strictEqual(result.get('foo').keyword, 'keyword');
+    });
+
+    it('uses first keyword sub-field if none named keyword', function() {
+      const result = mapping.compile({
+        properties: {
+          foo: {
+            type: 'text',
+            fields: {
+              raw: { type: 'keyword' },
+              lower: { type: 'keyword' },
+            },
+          },
+        },
+      });
+
+      assert.strictEqual(result.get('foo').keyword, 'raw');
+    });
+
+    it('sets keyword null if text has no keyword sub-field', function() {
+      const result = mapping.compile({
+        properties: {
+          foo: { type: 'text', fields: { english: { type: 'text' }, bad: null } },
+          bar: { type: 'text' },
+        },
+      });
+
+      assert.isNull(result.get('foo').keyword);
+      assert.isNull(result.get('bar').keyword);
+    });
+
+    it('sets keyword null if not text', function() {
+      const result = mapping.compile({
+        properties: {
+          foo: { type: 'keyword', fields: { raw: { type: 'keyword' } } },
+        },
+      });
+
+      assert.isNull(result.get('foo').keyword);
+    });
+  });
+
+
+  describe('.serialize', function() {
+    it('returns properties that compile to same entries', function() {
+      const compiled = mapping.compile({
+        properties: {
+          title: { type: 'text', fields: { raw: { type: 'keyword' } } },
+          born: { type: 'date', format: 'yyyy' },
+          author: {
+            properties: {
+              name: { type: 'keyword' },
+              books: { type: 'nested', properties: { isbn: { type: 'keyword' } } },
+            },
+          },
+          other: {},
+        },
+      });
+
+      const result = mapping.serialize(compiled);
+
+      assert.deepEqual(result, {
+        properties: {
+          title: { type: 'text', fields: { raw: { type: 'keyword' } } },
+          born: { type: 'date', format: 'yyyy' },
+          author: {
+            type: 'object',
+            properties: {
+              name: { type: 'keyword' },
+              books: {
+                type: 'nested',
+                properties: { isbn: { type: 'keyword' } },
+              },
+            },
+          },
+          other: {},
+        },
+      });
+
+      assert.deepEqual(
+        Array.from(mapping.compile(result)),
+        Array.from(compiled)
+      );
+    });
+
+    it('keeps dotted names without parent entries', function() {
+      const compiled = new Map([
+        ['a.b', { type: 'keyword', format: null, keyword: null }],
+        ['.c', { type: 'long', format: null, keyword: null }],
+      ]);
+
+      assert.deepEqual(mapping.serialize(compiled), {
+        properties: {
+          'a.b': { type: 'keyword' },
+          '.c': { type: 'long' },
+        },
+      });
+    });
+
+    it('returns empty properties for empty mapping', function() {
+      assert.deepEqual(mapping.serialize(new Map()), { properties: {} });
+    });
+  });
+
+
+  describe('.isNumeric', function() {
+    it('returns true for numeric types', function() {
+      assert.isTrue(mapping.isNumeric('long'));
+      assert.isTrue(mapping.isNumeric('scaled_float'));
+    });
+
+    it('returns false for other types', function() {
+      assert.isFalse(mapping.isNumeric('keyword'));
+      assert.isFalse(mapping.isNumeric('date'));
+      assert.isFalse(mapping.isNumeric(null));
+    });
+  });
+
+
+  describe('.supports', function() {
+    it('returns true for unmapped fields', function() {
+      assert.isTrue(mapping.supports(mapping.unmapped, 'like'));
+    });
+
+    it('returns true for unknown types', function() {
+      const entry = { type: 'toString', format: null, keyword: null };
+      assert.isTrue(mapping.supports(entry, 'like'));
+    });
+
+    it('returns false for like on numeric', function() {
+      const entry = { type: 'long', format: null, keyword: null };
+      assert.isFalse(mapping.supports(entry, 'like'));
+    });
+
+    it('returns true for range on numeric', function() {
+      const entry = { type: 'long', format: null, keyword: null };
+      assert.isTrue(mapping.supports(entry, 'gt'));
+    });
+
+    it('returns false for range on boolean', function() {
+      const entry = { type: 'boolean', format: null, keyword: null };
+      assert.isFalse(mapping.supports(entry, 'between'));
+    });
+
+    it('returns false for range on text', function() {
+      const entry = { type: 'text', format: null, keyword: null };
+      assert.isFalse(mapping.supports(entry, 'lt'));
+    });
+
+    it('returns true for range on text with keyword sub-field', function() {
+      const entry = { type: 'text', format: null, keyword: 'keyword' };
+      assert.isTrue(mapping.supports(entry, 'lt'));
+    });
+
+    it('returns false for eq on object', function() {
+      const entry = { type: 'object', format: null, keyword: null };
+      assert.isFalse(mapping.supports(entry, 'eq'));
+    });
+  });
+
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const { assert } = require('chai');
+const { Range } = require('spleen');
+
+const painless = require('../../lib/painless');
+
+
+describe('painless', function() {
+
+  describe('.compare', function() {
+    it('compares eq nil', function() {
+      assert.deepEqual(painless.compare('eq', null), {
+        source: 'value == null',
+        params: {},
+      });
+    });
+
+    it('compares lt nil', function() {
+      assert.strictEqual(painless.compare('lt', null).source, 'value == null');
+    });
+
+    it('compares lte nil', function() {
+      assert.strictEqual(painless.compare('lte', null).source, 'value == null');
+    });
+
+    it('compares neq nil', function() {
+      assert.strictEqual(painless.compare('neq', null).source, 'value != null');
+    });
+
+    it('compares gt nil', function() {
+      assert.strictEqual(painless.compare('gt', null).source, 'value != null');
+    });
+
+    it('compares eq', function() {
+      assert.deepEqual(painless.compare('eq', 42), {
+        source: 'value == params.value',
+        params: { value: 42 },
+      });
+    });
+
+    it('compares neq', function() {
+      assert.strictEqual(
+        painless.compare('neq', 42).source,
+        'value != params.value'
+      );
+    });
+
+    it('compares gte with null guard', function() {
+      assert.deepEqual(painless.compare('gte', 42, 'number'), {
+        source: 'value != null && value >= params.value',
+        params: { value: 42 },
+      });
+    });
+
+    it('compares comparable values with compareTo', function() {
+      assert.strictEqual(
+        painless.compare('gt', 'm', 'comparable').source,
+        'value != null && value.compareTo(params.value) > 0'
+      );
+    });
+
+    it('dispatches on value type if comparator unknown', function() {
+      assert.strictEqual(
+        painless.compare('lt', 'm', null).source,
+        'value != null && ((value instanceof Number) '
+          + '? value < params.value : value.compareTo(params.value) < 0)'
+      );
+    });
+
+    it('compares in', function() {
+      assert.deepEqual(painless.compare('in', [1, 2]), {
+        source: 'params.value.stream().anyMatch(v -> v == value)',
+        params: { value: [1, 2] },
+      });
+    });
+
+    it('compares nin', function() {
+      assert.strictEqual(
+        painless.compare('nin', [1, 2]).source,
+        '!params.value.stream().anyMatch(v -> v == value)'
+      );
+    });
+
+    it('compares between', function() {
+      const range = new Range(1, 5);
+      assert.deepEqual(painless.compare('between', range, 'number'), {
+        source: 'value != null && value >= params.lower && value <= params.upper',
+        params: { lower: 1, upper: 5 },
+      });
+    });
+
+    it('compares nbetween', function() {
+      const range = new Range(1, 5);
+      assert.deepEqual(painless.compare('nbetween', range, 'number'), {
+        source: '!(value != null && value >= params.lower && value <= params.upper)',
+        params: { lower: 1, upper: 5 },
+      });
+    });
+
+    it('compares between comparable values with compareTo', function() {
+      const range = new Range('a', 'm');
+      assert.strictEqual(
+        painless.compare('between', range, 'comparable').source,
+        'value != null && value.compareTo(params.lower) >= 0 '
+          + '&& value.compareTo(params.upper) <= 0'
+      );
+    });
+
+    it('returns null for unsupported operators', function() {
+      assert.isNull(painless.compare('like', 'a*'));
+    });
+  });
+
+
+  describe('.compareFields', function() {
+    it('compares any values of fields by default', function() {
+      const source = painless.compareFields('eq', null, 'any');
+      assert.include(source, 'doc.containsKey(params.subject)');
+      assert.include(source, 'doc.containsKey(params.object)');
+      assert.include(
+        source,
+        'return !subjects.isEmpty() && !objects.isEmpty() '
+          + '&& subjects.stream().anyMatch(a -> objects.stream().anyMatch(b -> a == b));'
+      );
+    });
+
+    it('compares all values of fields', function() {
+      assert.include(
+        painless.compareFields('eq', null, 'all'),
+        'subjects.stream().allMatch(a -> objects.stream().allMatch(b -> a == b))'
+      );
+    });
+
+    it('negates eq for neq', function() {
+      assert.include(
+        painless.compareFields('neq', null, 'any'),
+        'return !(!subjects.isEmpty() && !objects.isEmpty() '
+          + '&& subjects.stream().anyMatch(a -> objects.stream().anyMatch(b -> a == b)));'
+      );
+    });
+
+    it('requires all values of fields to differ for neq', function() {
+      assert.include(
+        painless.compareFields('neq', null, 'all'),
+        'return subjects.stream().allMatch(a -> objects.stream().allMatch(b -> a != b));'
+      );
+    });
+
+    it('compares numbers with operator', function() {
+      assert.include(painless.compareFields('gt', 'number', 'any'), '(b -> a > b)');
+    });
+
+    it('compares other mapped types with compareTo', function() {
+      assert.include(
+        painless.compareFields('lte', 'comparable', 'any'),
+        '(b -> a.compareTo(b) <= 0)'
+      );
+    });
+
+    it('compares unmapped types by value', function() {
+      assert.include(
+        painless.compareFields('lt', null, 'any'),
+        '(b -> (a instanceof Number) ? a < b : a.compareTo(b) < 0)'
+      );
+    });
+
+    it('compares between comparable values with compareTo', function() {
+      const range = new Range('a', 'm');
+      assert.strictEqual(
+        painless.compare('between', range, 'comparable').source,
+        'value != null && value.compareTo(params.lower) >= 0 '
+          + '&& value.compareTo(params.upper) <= 0'
+      );
+    });
+
+    it('returns null for unsupported operators', function() {
+      assert.isNull(painless.compareFields('in', null, 'any'));
+    });
+  });
+
+});
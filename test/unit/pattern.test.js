@@ -0,0 +1,289 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const pattern = require('../../lib/pattern');
+
+
+describe('pattern', function() {
+
+  describe('.parse', function() {
+    it('returns literal token for pattern without wildcards', function() {
+      assert.deepEqual(pattern.parse('abc'), [
+        { type: 'literal', value: 'abc' },
+      ]);
+    });
+
+    it('returns any token for *', function() {
+      assert.deepEqual(pattern.parse('a*'), [
+        { type: 'literal', value: 'a' },
+        { type: 'any' },
+      ]);
+    });
+
+    it('returns one token for _', function() {
+      assert.deepEqual(pattern.parse('_a'), [
+        { type: 'one' },
+        { type: 'literal', value: 'a' },
+      ]);
+    });
+
+    it('treats escaped wildcards as literals', function() {
+      assert.deepEqual(pattern.parse('a\\*b\\_c'), [
+        { type: 'literal', value: 'a*b_c' },
+      ]);
+    });
+
+    it('keeps backslash for other escaped characters', function() {
+      assert.deepEqual(pattern.parse('a\\bc'), [
+        { type: 'literal', value: 'a\\bc' },
+      ]);
+    });
+
+    it('keeps trailing backslash', function() {
+      assert.deepEqual(pattern.parse('a\\'), [
+        { type: 'literal', value: 'a\\' },
+      ]);
+    });
+  });
+
+
+  describe('.toRegexp', function() {
+    it('does not anchor pattern', function() {
+      assert.strictEqual(pattern.toRegexp(pattern.parse('abc')), 'abc');
+    });
+
+    it('converts * to .*', function() {
+      assert.strictEqual(pattern.toRegexp(pattern.parse('a*')), 'a.*');
+    });
+
+    it('converts _ to .', function() {
+      assert.strictEqual(pattern.toRegexp(pattern.parse('a_')), 'a.');
+    });
+
+    it('escapes Lucene reserved characters', function() {
+      const reserved = '.?+|{}[]()"#@&<>~';
+      const expected = reserved.replace(/./g, '\\$&');
+      assert.strictEqual(pattern.toRegexp(pattern.parse(reserved)), expected);
+    });
+
+    it('escapes literal wildcards and backslashes', function() {
+      assert.strictEqual(
+        pattern.toRegexp(pattern.parse('\\*\\_\\a')),
+        '\\*_\\\\a'
+      );
+    });
+  });
+
+
+  describe('.toWildcard', function() {
+    it('converts * to *', function() {
+      assert.strictEqual(pattern.toWildcard(pattern.parse('a*')), 'a*');
+    });
+
+    it('converts _ to ?', function() {
+      assert.strictEqual(pattern.toWildcard(pattern.parse('a_')), 'a?');
+    });
+
+    it('escapes wildcard reserved characters', function() {
+      assert.strictEqual(
+        pattern.toWildcard(pattern.parse('?\\*\\a')),
+        '\\?\\*\\\\a'
+      );
+    });
+  });
+
+
+  describe('.toQueryString', function() {
+    it('converts * to * and _ to ?', function() {
+      assert.strictEqual(pattern.toQueryString(pattern.parse('a*b_')), 'a*b?');
+    });
+
+    it('keeps whitespace between terms', function() {
+      assert.strictEqual(
+        pattern.toQueryString(pattern.parse('quick bro*')),
+        'quick bro*'
+      );
+    });
+
+    it('escapes query string reserved characters', function() {
+      assert.strictEqual(
+        pattern.toQueryString(pattern.parse('a+b:c/\\*(d)')),
+        'a\\+b\\:c\\/\\*\\(d\\)'
+      );
+    });
+
+    it('removes < and >', function() {
+      assert.strictEqual(pattern.toQueryString(pattern.parse('<a>')), 'a');
+    });
+
+    it('escapes AND, OR, and NOT operators', function() {
+      assert.strictEqual(
+        pattern.toQueryString(pattern.parse('*a* OR *')),
+        '*a* \\OR *'
+      );
+
+      assert.strictEqual(
+        pattern.toQueryString(pattern.parse('NOT a AND b')),
+        '\\NOT a \\AND b'
+      );
+    });
+
+    it('does not escape operators within words', function() {
+      assert.strictEqual(
+        pattern.toQueryString(pattern.parse('ORDER or NOTE')),
+        'ORDER or NOTE'
+      );
+    });
+  });
+
+
+  describe('.plan', function() {
+    it('returns term for empty pattern', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('')), {
+        type: 'term',
+        value: '',
+      });
+    });
+
+    it('returns term for pattern without wildcards', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('a\\*b')), {
+        type: 'term',
+        value: 'a*b',
+      });
+    });
+
+    it('returns prefix for pattern with only trailing *', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('abc*')), {
+        type: 'prefix',
+        value: 'abc',
+      });
+    });
+
+    it('returns wildcard for pattern with only *', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('*')), {
+        type: 'wildcard',
+        value: '*',
+      });
+    });
+
+    it('returns wildcard for pattern with trailing _', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('abc_')), {
+        type: 'wildcard',
+        value: 'abc?',
+      });
+    });
+
+    it('returns wildcard for pattern with leading *', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('*abc')), {
+        type: 'wildcard',
+        value: '*abc',
+      });
+    });
+
+    it('returns wildcard for pattern with multiple *', function() {
+      assert.deepEqual(pattern.plan(pattern.parse('ab*c*')), {
+        type: 'wildcard',
+        value: 'ab*c*',
+      });
+    });
+  });
+
+
+  describe('.match', function() {
+    it('matches whole string against pattern', function() {
+      assert.isTrue(pattern.match(pattern.parse('a*'), 'abc'));
+      assert.isTrue(pattern.match(pattern.parse('a_c'), 'abc'));
+      assert.isFalse(pattern.match(pattern.parse('b*'), 'abc'));
+      assert.isFalse(pattern.match(pattern.parse('a_'), 'abc'));
+    });
+
+    it('matches case-sensitively', function() {
+      assert.isFalse(pattern.match(pattern.parse('A*'), 'abc'));
+    });
+
+    it('matches escaped wildcards and reserved characters literally', function() {
+      assert.isTrue(pattern.match(pattern.parse('a\\*.c'), 'a*.c'));
+      assert.isFalse(pattern.match(pattern.parse('a\\*.c'), 'ab.c'));
+      assert.isFalse(pattern.match(pattern.parse('a.c'), 'abc'));
+    });
+
+    it('matches wildcards across line breaks', function() {
+      assert.isTrue(pattern.match(pattern.parse('a*c'), 'a\nb\nc'));
+    });
+
+    it('returns false for non-string values', function() {
+      assert.isFalse(pattern.match(pattern.parse('*'), 42));
+    });
+  });
+
+
+  describe('.isLeading', function() {
+    it('returns true if pattern starts with wildcard', function() {
+      assert.isTrue(pattern.isLeading(pattern.parse('*abc')));
+      assert.isTrue(pattern.isLeading(pattern.parse('_abc')));
+    });
+
+    it('returns false if pattern starts with literal', function() {
+      assert.isFalse(pattern.isLeading(pattern.parse('abc*')));
+      assert.isFalse(pattern.isLeading(pattern.parse('\\*abc')));
+      assert.isFalse(pattern.isLeading(pattern.parse('')));
+    });
+  });
+
+
+  describe('.isTrailing', function() {
+    it('returns true if pattern ends with wildcard', function() {
+      assert.isTrue(pattern.isTrailing(pattern.parse('abc*')));
+      assert.isTrue(pattern.isTrailing(pattern.parse('abc_')));
+    });
+
+    it('returns false if pattern ends with literal', function() {
+      assert.isFalse(pattern.isTrailing(pattern.parse('*abc')));
+      assert.isFalse(pattern.isTrailing(pattern.parse('')));
+    });
+  });
+
+
+  describe('.contained', function() {
+    it('returns literal of pattern wrapped in *', function() {
+      assert.strictEqual(pattern.contained(pattern.parse('*abc*')), 'abc');
+    });
+
+    it('returns null for other patterns', function() {
+      assert.isNull(pattern.contained(pattern.parse('*abc')));
+      assert.isNull(pattern.contained(pattern.parse('_abc*')));
+      assert.isNull(pattern.contained(pattern.parse('*abc_')));
+      assert.isNull(pattern.contained(pattern.parse('*a*b*')));
+    });
+  });
+
+
+  describe('.reverse', function() {
+    it('reverses order of tokens and literals', function() {
+      assert.deepEqual(pattern.reverse(pattern.parse('*ab_cd')), [
+        { type: 'literal', value: 'dc' },
+        { type: 'one' },
+        { type: 'literal', value: 'ba' },
+        { type: 'any' },
+      ]);
+    });
+
+    it('does not change provided tokens', function() {
+      const tokens = pattern.parse('*ab');
+      pattern.reverse(tokens);
+      assert.deepEqual(tokens, [
+        { type: 'any' },
+        { type: 'literal', value: 'ab' },
+      ]);
+    });
+  });
+
+
+  describe('.wildcards', function() {
+    it('returns number of * wildcards', function() {
+      assert.strictEqual(pattern.wildcards(pattern.parse('*a_b*c\\*')), 2);
+    });
+  });
+
+});
@@ -1,6 +1,9 @@
 'use strict';
 
 const { assert } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const Strategy = require('../../lib/strategy');
 
@@ -100,6 +103,1410 @@ describe('Strategy', function() {
       const strategy = new Strategy({ type: 'MyType', require });
       assert.deepEqual(strategy.require, require);
     });
+
+    it('should set discriminator to null if not provided', function() {
+      const strategy = new Strategy({});
+      assert.isNull(strategy.discriminator);
+    });
+
+    it('throws if discriminator not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ discriminator: 42 });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if discriminator.target missing', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ discriminator: { map: {} } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if discriminator.map missing', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ discriminator: { target: '/type' } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if discriminator.target not string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: 42, map: {} },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.discriminator.target');
+    });
+
+    it('throws if discriminator.target empty', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: '', map: {} },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if discriminator.map not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: '/type', map: 42 },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.discriminator.map');
+    });
+
+    it('throws if discriminator.map is array', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: '/type', map: ['a'] },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.discriminator.map');
+    });
+
+    it('throws if discriminator.map contains non-string types', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: '/type', map: { a: 42 } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.discriminator.map["a"]');
+    });
+
+    it('throws if discriminator.map contains empty types', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          discriminator: { target: '/type', map: { a: '' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.discriminator.map["a"]');
+    });
+
+    it('should set discriminator to compiled settings', function() {
+      const strategy = new Strategy({
+        discriminator: {
+          target: '/type',
+          map: { a: 'typeA', b: 'typeB', c: 'typeA' },
+        },
+      });
+
+      assert.strictEqual(strategy.discriminator.target, '/type');
+      assert.strictEqual(strategy.discriminator.map.get('b'), 'typeB');
+      assert.deepEqual(strategy.discriminator.types, ['typeA', 'typeB']);
+    });
+
+    it('should set fields to empty Map if not provided', function() {
+      const strategy = new Strategy({});
+      assert.instanceOf(strategy.fields, Map);
+      assert.strictEqual(strategy.fields.size, 0);
+    });
+
+    it('throws if fields not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: 42 });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if fields is array', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: [] });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if fields key not JSON pointer', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { foo: {} } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if field settings not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': 42 } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"]');
+    });
+
+    it('throws if field settings null', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': null } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if field pattern not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { pattern: 'bork' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].pattern');
+    });
+
+    it('throws if field field not string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { field: 42 } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].field');
+    });
+
+    it('throws if field field empty', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { field: '' } } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if field field has empty segments', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { field: 'a..b' } } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if field handler not function', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { handler: 42 } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].handler');
+    });
+
+    it('should set field handler to provided function', function() {
+      const handler = () => ({ match_all: {} });
+      const strategy = new Strategy({ fields: { '/foo': { handler } } });
+      assert.strictEqual(strategy.fields.get('/foo').handler, handler);
+    });
+
+    it('throws if field index not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { index: true } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].index');
+    });
+
+    it('should set field index to provided value', function() {
+      const strategy = new Strategy({ fields: { '/foo': { index: false } } });
+      assert.isFalse(strategy.fields.get('/foo').index);
+    });
+
+    it('throws if field lengthField not field path', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { lengthField: 'a..b' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].lengthField');
+    });
+
+    it('should set field lengthField to provided value', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': { lengthField: 'foo.count' } },
+      });
+
+      assert.strictEqual(strategy.fields.get('/foo').lengthField, 'foo.count');
+    });
+
+    it('throws if field reverseField not field path', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { reverseField: 'foo.' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].reverseField');
+    });
+
+    it('throws if field ngramField not field path', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { ngramField: 42 } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].ngramField');
+    });
+
+    it('should set field reverseField and ngramField to provided values', function() {
+      const strategy = new Strategy({
+        fields: {
+          '/foo': { reverseField: 'foo.reverse', ngramField: 'foo.ngram' },
+        },
+      });
+
+      assert.strictEqual(strategy.fields.get('/foo').reverseField, 'foo.reverse');
+      assert.strictEqual(strategy.fields.get('/foo').ngramField, 'foo.ngram');
+    });
+
+    it('should set field operators to unique provided values', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': { operators: ['eq', 'in', 'eq', 'target'] }, '/bar': {} },
+      });
+
+      assert.deepEqual(strategy.fields.get('/foo').operators, ['eq', 'in', 'target']);
+      assert.isNull(strategy.fields.get('/bar').operators);
+    });
+
+    it('throws if field operators not array', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { operators: 'eq' } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].operators');
+    });
+
+    it('throws if field operators empty', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { operators: [] } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].operators');
+    });
+
+    it('throws if field operators has unknown operator', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { operators: ['eq', 'ne'] } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].operators');
+    });
+
+    it('should set field boost to provided number', function() {
+      const strategy = new Strategy({ fields: { '/foo': { boost: 2 }, '/bar': {} } });
+      assert.strictEqual(strategy.fields.get('/foo').boost, 2);
+      assert.isNull(strategy.fields.get('/bar').boost);
+    });
+
+    it('should set field boost to copy of provided operator boosts', function() {
+      const boost = { eq: 2, like: 0.5 };
+      const strategy = new Strategy({ fields: { '/foo': { boost } } });
+      assert.deepEqual(strategy.fields.get('/foo').boost, boost);
+      assert.notStrictEqual(strategy.fields.get('/foo').boost, boost);
+    });
+
+    it('throws if field boost not positive number', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { boost: 0 } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].boost');
+    });
+
+    it('throws if field boost keyed by unknown operator', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { boost: { foo: 1 } } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].boost');
+    });
+
+    it('throws if field operator boost not positive number', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { boost: { eq: '2' } } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].boost');
+    });
+
+    it('throws if field boost empty object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { boost: {} } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].boost');
+    });
+
+    it('should set field fullText to null if not provided or false', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': {}, '/bar': { fullText: false } },
+      });
+
+      assert.isNull(strategy.fields.get('/foo').fullText);
+      assert.isNull(strategy.fields.get('/bar').fullText);
+    });
+
+    it('should set field fullText to defaults if true', function() {
+      const strategy = new Strategy({ fields: { '/foo': { fullText: true } } });
+      assert.deepEqual(strategy.fields.get('/foo').fullText, {
+        analyzer: null,
+        operator: null,
+        like: 'auto',
+      });
+    });
+
+    it('should set field fullText to provided values', function() {
+      const fullText = { analyzer: 'english', operator: 'and', like: 'query_string' };
+      const strategy = new Strategy({ fields: { '/foo': { fullText } } });
+      assert.deepEqual(strategy.fields.get('/foo').fullText, fullText);
+    });
+
+    it('throws if field fullText not Boolean or object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { fullText: 'yes' } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].fullText');
+    });
+
+    it('throws if field fullText analyzer not non-empty string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { fullText: { analyzer: '' } } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].fullText.analyzer');
+    });
+
+    it('throws if field fullText operator not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { fullText: { operator: 'xor' } } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].fullText.operator');
+    });
+
+    it('throws if field fullText like not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { fullText: { like: 'regexp' } } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].fullText.like');
+    });
+
+    it('throws if field caseInsensitive not Boolean', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { caseInsensitive: 'yes' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].caseInsensitive');
+    });
+
+    it('throws if field normalizedField not field path', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { normalizedField: '.lower' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].normalizedField');
+    });
+
+    it('should set field case settings to provided values', function() {
+      const strategy = new Strategy({
+        fields: {
+          '/foo': { caseInsensitive: true, normalizedField: 'foo.lower' },
+          '/bar': {},
+        },
+      });
+
+      assert.isTrue(strategy.fields.get('/foo').caseInsensitive);
+      assert.strictEqual(strategy.fields.get('/foo').normalizedField, 'foo.lower');
+      assert.isFalse(strategy.fields.get('/bar').caseInsensitive);
+      assert.isNull(strategy.fields.get('/bar').normalizedField);
+    });
+
+    it('throws if field format not non-empty string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { format: '' } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].format');
+    });
+
+    it('throws if field timeZone not valid', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { timeZone: 'Not A Zone' } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].timeZone');
+    });
+
+    it('should set field format and timeZone to provided values', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': { format: 'yyyy', timeZone: '+01:00' }, '/bar': {} },
+      });
+
+      assert.strictEqual(strategy.fields.get('/foo').format, 'yyyy');
+      assert.strictEqual(strategy.fields.get('/foo').timeZone, '+01:00');
+      assert.isNull(strategy.fields.get('/bar').format);
+      assert.isNull(strategy.fields.get('/bar').timeZone);
+    });
+
+    it('throws if field type not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { type: 'long' } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].type');
+    });
+
+    it('throws if enum field has no values', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ fields: { '/foo': { type: 'enum' } } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].values');
+    });
+
+    it('throws if enum field values empty', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { type: 'enum', values: [] } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].values');
+    });
+
+    it('throws if enum field values not strings or numbers', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { type: 'enum', values: ['a', true] } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].values');
+    });
+
+    it('throws if values provided for non-enum field', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          fields: { '/foo': { type: 'string', values: ['a'] } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/foo"].values');
+    });
+
+    it('should set field type and values to provided values', function() {
+      const strategy = new Strategy({
+        fields: {
+          '/foo': { type: 'enum', values: ['a', 'b'] },
+          '/bar': { type: 'integer' },
+          '/baz': {},
+        },
+      });
+
+      assert.strictEqual(strategy.fields.get('/foo').type, 'enum');
+      assert.deepEqual(strategy.fields.get('/foo').values, ['a', 'b']);
+      assert.strictEqual(strategy.fields.get('/bar').type, 'integer');
+      assert.isNull(strategy.fields.get('/bar').values);
+      assert.isNull(strategy.fields.get('/baz').type);
+    });
+
+    it('should set fields to compiled field settings', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': { pattern: 'regexp' }, '/bar': {} },
+      });
+
+      assert.strictEqual(strategy.fields.get('/foo').pattern, 'regexp');
+      assert.strictEqual(strategy.fields.get('/bar').pattern, 'auto');
+      assert.isNull(strategy.fields.get('/bar').field);
+    });
+
+    it('should set mapping to empty Map if not provided', function() {
+      const strategy = new Strategy({});
+      assert.instanceOf(strategy.mapping, Map);
+      assert.strictEqual(strategy.mapping.size, 0);
+    });
+
+    it('throws if mapping not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ mapping: 42 });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('should set mapping to compiled mapping', function() {
+      const strategy = new Strategy({
+        mapping: { properties: { foo: { type: 'long' } } },
+      });
+
+      assert.strictEqual(strategy.mapping.get('foo').type, 'long');
+    });
+
+    it('should set nested to empty Set if not provided', function() {
+      const strategy = new Strategy({});
+      assert.instanceOf(strategy.nested, Set);
+      assert.strictEqual(strategy.nested.size, 0);
+    });
+
+    it('throws if nested not array', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ nested: '/foo' });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if nested contains non-strings', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ nested: [42] });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if nested contains non-pointers', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ nested: ['foo'] });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if nested contains empty segments', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ nested: ['/foo//bar'] });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('should set nested to dot notation paths', function() {
+      const strategy = new Strategy({ nested: ['/foo/bar'] });
+      assert.isTrue(strategy.nested.has('foo.bar'));
+    });
+
+    it('should add nested fields from mapping', function() {
+      const strategy = new Strategy({
+        mapping: { properties: { foo: { type: 'nested' } } },
+      });
+
+      assert.isTrue(strategy.nested.has('foo'));
+    });
+
+    it('should set multiValued to any if not provided', function() {
+      assert.strictEqual(new Strategy({}).multiValued, 'any');
+    });
+
+    it('throws if multiValued invalid', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ multiValued: 'first' });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.multiValued');
+    });
+
+    it('should set multiValued to provided value', function() {
+      assert.strictEqual(new Strategy({ multiValued: 'all' }).multiValued, 'all');
+    });
+
+    it('should set scripts to true if not provided', function() {
+      assert.isTrue(new Strategy({}).scripts);
+    });
+
+    it('should set scripts to provided Boolean', function() {
+      assert.isFalse(new Strategy({ scripts: false }).scripts);
+    });
+
+    it('should set scripts to Set of provided pointers', function() {
+      const strategy = new Strategy({ scripts: ['/a', '/b'] });
+      assert.deepEqual(Array.from(strategy.scripts), ['/a', '/b']);
+    });
+
+    it('throws if scripts not Boolean or array', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ scripts: 'none' });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.scripts');
+    });
+
+    it('throws if scripts item not string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ scripts: ['/a', 42] });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.scripts[1]');
+    });
+
+    it('should set leadingWildcard to allow if not provided', function() {
+      const strategy = new Strategy({});
+      assert.strictEqual(strategy.leadingWildcard, 'allow');
+    });
+
+    it('throws if leadingWildcard invalid', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ leadingWildcard: 'rewrite' });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.leadingWildcard');
+    });
+
+    it('should set leadingWildcard to provided value', function() {
+      const strategy = new Strategy({ leadingWildcard: 'deny' });
+      assert.strictEqual(strategy.leadingWildcard, 'deny');
+    });
+
+    it('should set lengthMarker to $length if not provided', function() {
+      const strategy = new Strategy({});
+      assert.strictEqual(strategy.lengthMarker, '$length');
+    });
+
+    it('throws if lengthMarker not string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ lengthMarker: 42 });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if lengthMarker empty', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ lengthMarker: '' });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if lengthMarker contains /', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ lengthMarker: 'a/b' });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if required field denied', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ deny: ['/a'], require: ['/a'] });
+        assert.isNotOk(strategy);
+      }, TypeError, 'cannot both require and deny field: /a');
+    });
+
+    it('throws if required field matches deny pattern', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ deny: ['/a/*'], require: ['/a/b'] });
+        assert.isNotOk(strategy);
+      }, TypeError, 'cannot both require and deny field: /a/b');
+    });
+
+    it('throws if output not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ output: 'bork' });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('should set output to filter if not provided', function() {
+      const strategy = new Strategy({});
+      assert.strictEqual(strategy.output, 'filter');
+    });
+
+    it('should set output to provided value', function() {
+      const strategy = new Strategy({ output: 'query' });
+      assert.strictEqual(strategy.output, 'query');
+    });
+
+    it('throws if version not supported', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ version: 'es1' });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('should set version to es7 if not provided', function() {
+      const strategy = new Strategy({});
+      assert.strictEqual(strategy.version, 'es7');
+      assert.strictEqual(strategy.dialect.name, 'es7');
+    });
+
+    it('should set dialect for provided version', function() {
+      const strategy = new Strategy({ version: 'opensearch2' });
+      assert.strictEqual(strategy.version, 'opensearch2');
+      assert.strictEqual(strategy.dialect.name, 'opensearch2');
+    });
+
+    it('should set regexp to defaults if not provided', function() {
+      const strategy = new Strategy({});
+      assert.deepEqual(strategy.regexp, {
+        flags: null,
+        caseInsensitive: false,
+        maxDeterminizedStates: null,
+      });
+    });
+
+    it('throws if regexp not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ regexp: 42 });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if regexp.flags not string', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ regexp: { flags: 42 } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if regexp.flags contains unknown flag', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ regexp: { flags: 'ALL|BORK' } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if regexp.caseInsensitive not Boolean', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ regexp: { caseInsensitive: 'yes' } });
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if regexp.caseInsensitive not supported by version', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          version: 'es6',
+          regexp: { caseInsensitive: true },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if caseInsensitive field lacks normalizedField on es5 or es6', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          version: 'es6',
+          fields: { '/name': { caseInsensitive: true } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.fields["/name"].normalizedField');
+
+      assert.throws(() => {
+        const strategy = new Strategy({
+          version: 'es5',
+          fields: { '/name': { caseInsensitive: true } },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError, 'version: es5');
+    });
+
+    it('allows caseInsensitive field with normalizedField on es6', function() {
+      const strategy = new Strategy({
+        version: 'es6',
+        fields: { '/name': { caseInsensitive: true, normalizedField: 'name.lower' } },
+      });
+
+      assert.strictEqual(strategy.field('/name').normalizedField, 'name.lower');
+    });
+
+    it('allows caseInsensitive field without normalizedField on es7', function() {
+      assert.doesNotThrow(() => {
+        const strategy = new Strategy({ fields: { '/name': { caseInsensitive: true } } });
+        assert.isOk(strategy);
+      });
+    });
+
+    it('throws if regexp.maxDeterminizedStates not integer', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          regexp: { maxDeterminizedStates: 1.5 },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('throws if regexp.maxDeterminizedStates less than 1', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({
+          regexp: { maxDeterminizedStates: 0 },
+        });
+
+        assert.isNotOk(strategy);
+      }, TypeError);
+    });
+
+    it('should set unspecified regexp options to defaults', function() {
+      const strategy = new Strategy({ regexp: {} });
+      assert.deepEqual(strategy.regexp, {
+        flags: null,
+        caseInsensitive: false,
+        maxDeterminizedStates: null,
+      });
+    });
+
+    it('should set regexp to provided options', function() {
+      const regexp = {
+        flags: 'NONE',
+        caseInsensitive: false,
+        maxDeterminizedStates: 100,
+      };
+
+      const strategy = new Strategy({ version: 'es6', regexp });
+      assert.deepEqual(strategy.regexp, regexp);
+    });
+
+    it('should set limits to null if not provided', function() {
+      const strategy = new Strategy({});
+      assert.deepEqual(strategy.limits, {
+        clauses: null,
+        depth: null,
+        patternLength: null,
+        scripts: null,
+        values: null,
+        wildcards: null,
+      });
+    });
+
+    it('throws if limits not object', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ limits: [] });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.limits');
+    });
+
+    it('throws if limit not positive integer', function() {
+      assert.throws(() => {
+        const strategy = new Strategy({ limits: { depth: 0 } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.limits.depth');
+
+      assert.throws(() => {
+        const strategy = new Strategy({ limits: { values: 2.5 } });
+        assert.isNotOk(strategy);
+      }, TypeError, 'settings.limits.values');
+    });
+
+    it('should set limits to provided values', function() {
+      const strategy = new Strategy({ limits: { clauses: 10, scripts: 1 } });
+      assert.strictEqual(strategy.limits.clauses, 10);
+      assert.strictEqual(strategy.limits.scripts, 1);
+      assert.isNull(strategy.limits.depth);
+    });
+  });
+
+
+  describe('#allows', function() {
+    it('returns true for any pointer if allow empty', function() {
+      assert.isTrue(new Strategy({}).allows('/a'));
+    });
+
+    it('returns true for allowed subtrees and patterns', function() {
+      const strategy = new Strategy({ allow: ['/address', '/meta/*'] });
+      assert.isTrue(strategy.allows('/address/city'));
+      assert.isTrue(strategy.allows('/meta/x'));
+      assert.isFalse(strategy.allows('/name'));
+    });
+  });
+
+
+  describe('#denies', function() {
+    it('returns false for any pointer if deny empty', function() {
+      assert.isFalse(new Strategy({}).denies('/a'));
+    });
+
+    it('returns true for denied subtrees and patterns', function() {
+      const strategy = new Strategy({ deny: ['/secrets', '/**/password'] });
+      assert.isTrue(strategy.denies('/secrets/key'));
+      assert.isTrue(strategy.denies('/user/password'));
+      assert.isFalse(strategy.denies('/name'));
+    });
+  });
+
+
+  describe('#allowsScript', function() {
+    it('returns true for any pointer by default', function() {
+      assert.isTrue(new Strategy({}).allowsScript('/a'));
+    });
+
+    it('returns false for any pointer if scripts false', function() {
+      assert.isFalse(new Strategy({ scripts: false }).allowsScript('/a'));
+    });
+
+    it('returns true for listed subtrees and patterns', function() {
+      const strategy = new Strategy({ scripts: ['/tags', '/meta/*'] });
+      assert.isTrue(strategy.allowsScript('/tags/$length'));
+      assert.isTrue(strategy.allowsScript('/meta/x'));
+      assert.isFalse(strategy.allowsScript('/name'));
+    });
+  });
+
+
+  describe('#field', function() {
+    it('returns settings for configured field', function() {
+      const strategy = new Strategy({
+        fields: { '/foo': { pattern: 'wildcard' } },
+      });
+
+      assert.strictEqual(strategy.field('/foo').pattern, 'wildcard');
+    });
+
+    it('returns defaults for unconfigured field', function() {
+      const strategy = new Strategy({});
+      assert.strictEqual(strategy.field('/foo').pattern, 'auto');
+    });
+  });
+
+
+  describe('#merge', function() {
+    const base = new Strategy({
+      deny: ['/tenantId'],
+      require: ['/deleted'],
+      output: 'clause',
+      fields: {
+        '/deleted': { type: 'boolean', caseInsensitive: true, normalizedField: 'deleted' },
+        '/name': { handler: () => ({ match_all: {} }) },
+      },
+      mapping: { properties: { deleted: { type: 'boolean' } } },
+      regexp: { flags: 'ALL', maxDeterminizedStates: 100 },
+      limits: { depth: 4, values: 50 },
+    });
+
+    it('returns new Strategy without changing either', function() {
+      const other = new Strategy({ deny: ['/secret'] });
+      const result = base.merge(other);
+
+      assert.instanceOf(result, Strategy);
+      assert.notStrictEqual(result, base);
+      assert.deepEqual(Array.from(base.deny), ['/tenantId']);
+      assert.deepEqual(Array.from(other.deny), ['/secret']);
+    });
+
+    it('combines deny and require lists', function() {
+      const result = base.merge({ deny: ['/secret'], require: ['/type'] });
+      assert.deepEqual(Array.from(result.deny), ['/tenantId', '/secret']);
+      assert.deepEqual(result.require, ['/deleted', '/type']);
+    });
+
+    it('combines allow lists', function() {
+      const result = new Strategy({ allow: ['/a'] }).merge({ allow: ['/b', '/a'] });
+      assert.deepEqual(Array.from(result.allow), ['/a', '/b']);
+    });
+
+    it('combines nested lists', function() {
+      const result = new Strategy({ nested: ['/a'] }).merge({ nested: ['/b'] });
+      assert.deepEqual(Array.from(result.nested), ['a', 'b']);
+    });
+
+    it('combines scripts lists', function() {
+      const result = new Strategy({ scripts: ['/a'] }).merge({ scripts: ['/b'] });
+      assert.deepEqual(Array.from(result.scripts), ['/a', '/b']);
+    });
+
+    it('replaces scripts if either is Boolean', function() {
+      const list = new Strategy({ scripts: ['/a'] });
+      const none = new Strategy({ scripts: false });
+
+      assert.isFalse(list.merge({ scripts: false }).scripts);
+      assert.deepEqual(Array.from(none.merge(list).scripts), ['/a']);
+      assert.deepEqual(Array.from(list.merge({ output: 'bool' }).scripts), ['/a']);
+    });
+
+    it('keeps settings not in settings object', function() {
+      const result = base.merge({ require: ['/type'] });
+      assert.strictEqual(result.output, 'clause');
+      assert.strictEqual(result.regexp.flags, 'ALL');
+      assert.isFunction(result.field('/name').handler);
+      assert.strictEqual(result.mapping.get('deleted').type, 'boolean');
+    });
+
+    it('overrides settings in settings object', function() {
+      const result = base.merge({
+        output: 'filter',
+        version: 'es6',
+        lengthMarker: '_size',
+        leadingWildcard: 'deny',
+        multiValued: 'all',
+        discriminator: { target: '/kind', map: { a: 'b' } },
+        regexp: { flags: 'NONE' },
+        limits: { values: 10 },
+      });
+
+      assert.strictEqual(result.output, 'filter');
+      assert.strictEqual(result.version, 'es6');
+      assert.strictEqual(result.lengthMarker, '_size');
+      assert.strictEqual(result.leadingWildcard, 'deny');
+      assert.strictEqual(result.multiValued, 'all');
+      assert.strictEqual(result.discriminator.target, '/kind');
+      assert.strictEqual(result.regexp.flags, 'NONE');
+      assert.strictEqual(result.regexp.maxDeterminizedStates, 100);
+      assert.strictEqual(result.limits.values, 10);
+      assert.strictEqual(result.limits.depth, 4);
+    });
+
+    it('overrides settings set in Strategy', function() {
+      const result = base.merge(new Strategy({
+        version: 'es8',
+        regexp: { maxDeterminizedStates: 5 },
+        limits: { clauses: 20 },
+      }));
+
+      assert.strictEqual(result.output, 'clause');
+      assert.strictEqual(result.version, 'es8');
+      assert.strictEqual(result.regexp.flags, 'ALL');
+      assert.strictEqual(result.regexp.maxDeterminizedStates, 5);
+      assert.deepEqual(result.limits, {
+        clauses: 20,
+        depth: 4,
+        patternLength: null,
+        scripts: null,
+        values: 50,
+        wildcards: null,
+      });
+    });
+
+    it('merges field settings by key', function() {
+      const result = base.merge({
+        fields: {
+          '/deleted': { caseInsensitive: false, boost: 2 },
+          '/age': { type: 'integer' },
+        },
+      });
+
+      const deleted = result.field('/deleted');
+      assert.strictEqual(deleted.type, 'boolean');
+      assert.isFalse(deleted.caseInsensitive);
+      assert.strictEqual(deleted.boost, 2);
+      assert.strictEqual(result.field('/age').type, 'integer');
+    });
+
+    it('merges field settings set in Strategy', function() {
+      const result = base.merge(new Strategy({
+        fields: { '/deleted': { boost: 2 } },
+      }));
+
+      assert.strictEqual(result.field('/deleted').type, 'boolean');
+      assert.isTrue(result.field('/deleted').caseInsensitive);
+      assert.strictEqual(result.field('/deleted').boost, 2);
+    });
+
+    it('drops inherited values if type changes from enum', function() {
+      const enums = new Strategy({ fields: { '/e': { type: 'enum', values: [1] } } });
+      const result = Strategy.extend(enums, { fields: { '/e': { type: 'integer' } } });
+
+      assert.strictEqual(result.field('/e').type, 'integer');
+      assert.isNull(result.field('/e').values);
+    });
+
+    it('keeps inherited values if type not changed', function() {
+      const enums = new Strategy({ fields: { '/e': { type: 'enum', values: [1] } } });
+      const result = enums.merge({ fields: { '/e': { boost: 2 } } });
+
+      assert.deepEqual(result.field('/e').values, [1]);
+      assert.strictEqual(result.field('/e').boost, 2);
+    });
+
+    it('overrides settings set to defaults in Strategy', function() {
+      const result = base.merge(new Strategy({
+        output: 'filter',
+        fields: { '/deleted': { caseInsensitive: false } },
+      }));
+
+      assert.strictEqual(result.output, 'filter');
+      assert.isFalse(result.field('/deleted').caseInsensitive);
+      assert.strictEqual(result.field('/deleted').type, 'boolean');
+    });
+
+    it('overrides settings set in either Strategy merged', function() {
+      const layer = new Strategy({ output: 'filter' })
+        .merge({ fields: { '/deleted': { caseInsensitive: false } } });
+
+      const result = base.merge(layer);
+
+      assert.strictEqual(result.output, 'filter');
+      assert.isFalse(result.field('/deleted').caseInsensitive);
+      assert.strictEqual(result.regexp.flags, 'ALL');
+      assert.strictEqual(result.limits.depth, 4);
+    });
+
+    it('overrides mapping entries', function() {
+      const result = base.merge({
+        mapping: { properties: { deleted: { type: 'keyword' }, age: { type: 'long' } } },
+      });
+
+      assert.strictEqual(result.mapping.get('deleted').type, 'keyword');
+      assert.strictEqual(result.mapping.get('age').type, 'long');
+    });
+
+    it('throws if result has allow and deny', function() {
+      assert.throws(() => {
+        base.merge({ allow: ['/a'] });
+      }, TypeError, 'cannot have by "allow" and "deny"');
+    });
+
+    it('throws if result requires denied field', function() {
+      assert.throws(() => {
+        base.merge({ deny: ['/deleted'] });
+      }, TypeError, 'cannot both require and deny field: /deleted');
+    });
+
+    it('throws if merged field settings conflict', function() {
+      assert.throws(() => {
+        new Strategy({ fields: { '/a': { type: 'string' } } })
+          .merge({ fields: { '/a': { values: ['x'] } } });
+      }, TypeError, 'settings.fields["/a"].values');
+    });
+
+    it('throws if settings object not valid', function() {
+      assert.throws(() => {
+        base.merge({ output: 'nope' });
+      }, TypeError, 'settings.output');
+    });
+  });
+
+
+  describe('.extend', function() {
+    it('returns base merged with overrides', function() {
+      const base = new Strategy({ deny: ['/tenantId'] });
+      const result = Strategy.extend(base, { deny: ['/secret'], output: 'bool' });
+
+      assert.deepEqual(Array.from(result.deny), ['/tenantId', '/secret']);
+      assert.strictEqual(result.output, 'bool');
+    });
+
+    it('throws if base not Strategy', function() {
+      assert.throws(() => {
+        Strategy.extend({}, {});
+      }, TypeError, 'Argument "base"');
+    });
+  });
+
+
+  describe('#toJSON', function() {
+    it('returns defaults for empty settings', function() {
+      assert.deepEqual(new Strategy({}).toJSON(), {
+        allow: [],
+        deny: [],
+        discriminator: null,
+        fields: {},
+        leadingWildcard: 'allow',
+        lengthMarker: '$length',
+        limits: {
+          clauses: null,
+          depth: null,
+          patternLength: null,
+          scripts: null,
+          values: null,
+          wildcards: null,
+        },
+        mapping: null,
+        multiValued: 'any',
+        nested: [],
+        output: 'filter',
+        regexp: {
+          flags: null,
+          caseInsensitive: false,
+          maxDeterminizedStates: null,
+        },
+        require: [],
+        scripts: true,
+        version: 'es7',
+      });
+    });
+
+    it('returns settings that construct an equivalent Strategy', function() {
+      const settings = {
+        allow: ['/a', '/b'],
+        require: ['/a'],
+        discriminator: { target: '/kind', map: { 1: 'one', 2: 'two' } },
+        lengthMarker: '_size',
+        output: 'clause',
+        version: 'es6',
+        regexp: { flags: 'ALL' },
+        fields: {
+          '/a': { type: 'enum', values: ['x', 'y'], boost: { eq: 2 } },
+          '/b': {
+            fullText: { operator: 'and' },
+            caseInsensitive: true,
+            normalizedField: 'b.lower',
+          },
+        },
+        mapping: {
+          properties: { items: { type: 'nested' }, b: { type: 'text' } },
+        },
+        nested: ['/c/d'],
+        scripts: ['/a'],
+      };
+
+      const strategy = new Strategy(settings);
+      const json = strategy.toJSON();
+
+      assert.deepEqual(json.fields, {
+        '/a': { boost: { eq: 2 }, type: 'enum', values: ['x', 'y'] },
+        '/b': {
+          caseInsensitive: true,
+          fullText: { analyzer: null, operator: 'and', like: 'auto' },
+          normalizedField: 'b.lower',
+        },
+      });
+
+      assert.deepEqual(json.nested, ['/c/d']);
+      assert.deepEqual(json.scripts, ['/a']);
+      assert.deepEqual(json.discriminator, settings.discriminator);
+
+      const result = new Strategy(JSON.parse(JSON.stringify(json)));
+      assert.deepEqual(result.toJSON(), json);
+      assert.deepEqual(Array.from(result.nested), Array.from(strategy.nested));
+      assert.deepEqual(Array.from(result.mapping), Array.from(strategy.mapping));
+    });
+
+    it('copies field settings', function() {
+      const strategy = new Strategy({
+        fields: { '/a': { type: 'enum', values: ['x'] } },
+      });
+
+      strategy.toJSON().fields['/a'].values.push('y');
+      assert.deepEqual(strategy.fields.get('/a').values, ['x']);
+    });
+
+    it('throws if a field has a handler', function() {
+      const strategy = new Strategy({
+        fields: { '/a': { handler: () => ({}) } },
+      });
+
+      assert.throws(() => {
+        strategy.toJSON();
+      }, TypeError, '/a');
+    });
+  });
+
+
+  describe('.fromJSON', function() {
+    it('returns Strategy from JSON string', function() {
+      const result = Strategy.fromJSON('{ "allow": ["/a"], "output": "clause" }');
+      assert.instanceOf(result, Strategy);
+      assert.isTrue(result.allow.has('/a'));
+      assert.strictEqual(result.output, 'clause');
+    });
+
+    it('returns Strategy from object', function() {
+      const result = Strategy.fromJSON({ version: 'es8' });
+      assert.strictEqual(result.version, 'es8');
+    });
+
+    it('round trips toJSON', function() {
+      const strategy = new Strategy({ deny: ['/x'], fields: { '/y': { index: false } } });
+      const result = Strategy.fromJSON(JSON.stringify(strategy));
+      assert.deepEqual(result.toJSON(), strategy.toJSON());
+    });
+
+    it('throws if JSON not valid', function() {
+      assert.throws(() => {
+        Strategy.fromJSON('{ allow: }');
+      }, TypeError, 'Argument "json" is not valid JSON');
+    });
+
+    it('throws if JSON not object', function() {
+      assert.throws(() => {
+        Strategy.fromJSON('[]');
+      }, TypeError, 'Argument "json" must be');
+
+      assert.throws(() => {
+        Strategy.fromJSON(null);
+      }, TypeError, 'Argument "json" must be');
+
+      assert.throws(() => {
+        Strategy.fromJSON(42);
+      }, TypeError, 'Argument "json" must be');
+    });
+
+    it('throws for unrecognized setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ alow: [] });
+      }, TypeError, 'Argument "settings.alow" is not a recognized setting');
+    });
+
+    it('reports path of invalid discriminator type', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ discriminator: { target: '/t', map: { a: 1 } } });
+      }, TypeError, 'Argument "settings.discriminator.map["a"]" must be');
+    });
+
+    it('throws for unrecognized discriminator setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ discriminator: { target: '/a', map: {}, types: [] } });
+      }, TypeError, 'settings.discriminator.types');
+    });
+
+    it('throws for unrecognized regexp setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ regexp: { flag: 'ALL' } });
+      }, TypeError, 'settings.regexp.flag');
+    });
+
+    it('throws for unrecognized limits setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ limits: { maxDepth: 3 } });
+      }, TypeError, 'settings.limits.maxDepth');
+    });
+
+    it('throws for unrecognized field setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ fields: { '/age': { typ: 'integer' } } });
+      }, TypeError, 'settings.fields["/age"].typ');
+    });
+
+    it('throws for unrecognized fullText setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ fields: { '/age': { fullText: { analyser: 'a' } } } });
+      }, TypeError, 'settings.fields["/age"].fullText.analyser');
+    });
+
+    it('throws with path of invalid field setting', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ fields: { '/age': { type: 'number' } } });
+      }, TypeError, 'settings.fields["/age"].type');
+    });
+
+    it('throws with index of invalid list item', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ require: ['/a', 42] });
+      }, TypeError, 'settings.require[1]');
+    });
+
+    it('leaves invalid containers to constructor', function() {
+      assert.throws(() => {
+        Strategy.fromJSON({ fields: { '/a': 42 } });
+      }, TypeError, 'settings.fields["/a"]');
+
+      assert.throws(() => {
+        Strategy.fromJSON({ fields: 42 });
+      }, TypeError, 'settings.fields');
+    });
+  });
+
+
+  describe('.fromFile', function() {
+    const dir = os.tmpdir();
+    const valid = path.join(dir, `spleen-es-strategy-${process.pid}.json`);
+    const invalid = path.join(dir, `spleen-es-invalid-${process.pid}.json`);
+
+    before(function() {
+      fs.writeFileSync(valid, JSON.stringify({ allow: ['/a'] }));
+      fs.writeFileSync(invalid, '{ "allow": ');
+    });
+
+    after(function() {
+      fs.unlinkSync(valid);
+      fs.unlinkSync(invalid);
+    });
+
+    it('returns Strategy from file', function() {
+      const result = Strategy.fromFile(valid);
+      assert.isTrue(result.allow.has('/a'));
+    });
+
+    it('throws with file name if JSON not valid', function() {
+      assert.throws(() => {
+        Strategy.fromFile(invalid);
+      }, TypeError, `Strategy file ${JSON.stringify(invalid)} is not valid JSON`);
+    });
+
+    it('throws if file not found', function() {
+      assert.throws(() => {
+        Strategy.fromFile(path.join(dir, 'spleen-es-missing.json'));
+      }, /ENOENT/);
+    });
+
+    it('throws if file not non-empty string', function() {
+      assert.throws(() => {
+        Strategy.fromFile('');
+      }, TypeError, 'Argument "file"');
+    });
   });
 
 });